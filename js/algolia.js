@@ -1,102 +1,230 @@
-/* global instantsearch, algoliasearch */
+/* global instantsearch, algoliasearch, Searchbox */
+/**
+ * Algolia provider of the search box in js/searchbox.js
+ *
+ * When Algolia errors or times out, the search box falls back to the local Insight search
+ * (config.fallback, 'insight' by default, set it to null to turn this off). Pass
+ * `hosts: [{ url: 'localhost:8765', protocol: 'http' }]` in the config to query the mock
+ * server of scripts/mock-algolia-server.js instead of Algolia.
+ *
+ * The tags, categories and year of the records pushed by scripts/push-algolia-index.js are
+ * shown as refinement panels above the results (set `facets: false` to hide them), and kept
+ * in the URL hash as the tag, cat and year parameters, like the filters of the Insight search.
+ */
 // eslint-disable-next-line no-unused-vars
 function loadAlgolia(config, translation) {
-  const search = instantsearch({
-    indexName: config.indexName,
-    searchClient: algoliasearch(config.applicationId, config.apiKey),
-  });
+  /**
+   * Keep the highlight tags of an Algolia attribute and strip any other markup.
+   */
+  function sanitize(html) {
+    return html
+      .replace(new RegExp('<em>', 'ig'), '[algolia-highlight]')
+      .replace(new RegExp('</em>', 'ig'), '[/algolia-highlight]')
+      .replace(/(<([^>]+)>)/gi, '')
+      .replace(/(\[algolia-highlight\])/gi, '<em>')
+      .replace(/(\[\/algolia-highlight\])/gi, '</em>');
+  }
+
+  // Facets of the index records and their URL parameters
+  const FACETS = [
+    { attribute: 'tags', param: 'tag', widget: 'refinementList', title: translation.tags },
+    {
+      attribute: 'categories',
+      param: 'cat',
+      widget: 'refinementList',
+      title: translation.categories,
+    },
+    { attribute: 'year', param: 'year', widget: 'menu', title: translation.year || 'Year' },
+  ];
+
+  function algolia() {
+    const search = instantsearch({
+      indexName: config.indexName,
+      searchClient: algoliasearch(
+        config.applicationId,
+        config.apiKey,
+        config.hosts ? { hosts: config.hosts } : undefined,
+      ),
+    });
+    let refine = null;
+    let showMore = null;
+    // The results of the latest query and how many of its hits they show
+    let current = null;
+    let shown = 0;
+    // The refinements the latest query was made with, see facetState()
+    let queried = null;
+
+    /**
+     * Values refined by each facet, in the order of FACETS.
+     */
+    function facetState() {
+      const state = search.getUiState()[config.indexName] || {};
+      return FACETS.map((facet) => {
+        return [].concat((state[facet.widget] || {})[facet.attribute] || []);
+      });
+    }
+
+    function setFacetState(values) {
+      search.setUiState((uiState) => {
+        const state = Object.assign({}, uiState[config.indexName]);
+        FACETS.forEach((facet, i) => {
+          const refinements = Object.assign({}, state[facet.widget]);
+          if (values[i].length) {
+            refinements[facet.attribute] = facet.widget === 'menu' ? values[i][0] : values[i];
+          } else {
+            delete refinements[facet.attribute];
+          }
+          state[facet.widget] = refinements;
+        });
+        return Object.assign({}, uiState, { [config.indexName]: state });
+      });
+    }
+
+    function facetWidgets() {
+      const $facets = $('<div>')
+        .addClass('searchbox-facets')
+        .insertAfter($('.searchbox .searchbox-header'));
+      return FACETS.map((facet) => {
+        const container = $('<div>').addClass('searchbox-facet').appendTo($facets)[0];
+        const options =
+          facet.widget === 'menu'
+            ? { container, attribute: facet.attribute, sortBy: ['name:desc'], limit: 10 }
+            : { container, attribute: facet.attribute, limit: 8, showMore: true };
+        return instantsearch.widgets.panel({
+          templates: { header: Searchbox.escapeHTML(facet.title || facet.attribute) },
+          hidden: (state) => !state.canRefine,
+        })(instantsearch.widgets[facet.widget])(options);
+      });
+    }
+
+    const searchBox = instantsearch.connectors.connectSearchBox((options) => {
+      refine = options.refine;
+    });
+
+    const infiniteHits = instantsearch.connectors.connectInfiniteHits((options, isFirstRender) => {
+      showMore = options.showMore;
+      const results = options.results;
+      if (isFirstRender || !results || !current || current.stale) {
+        return;
+      }
+      if (results.query !== current.keywords) {
+        return;
+      }
+      // a facet was (un)refined, query again so the search box starts over and updates the URL
+      if (JSON.stringify(facetState()) !== queried) {
+        current.refresh();
+        return;
+      }
+      const items = [];
+      options.hits.slice(shown).forEach((hit) => {
+        items.push({ title: hit.title, preview: hit.excerpt, url: hit.permalink, hit });
+        // records of a section of a long post link to its heading, see
+        // scripts/push-algolia-index.js
+        if (hit.heading) {
+          items.push({ sub: true, icon: 'hashtag', title: hit.heading, url: hit.url, hit });
+        }
+      });
+      const more = { total: results.nbHits, more: !options.isLastPage };
+      if (!results.nbHits) {
+        current.notice(translation.no_result + ': ' + results.query);
+      } else if (shown) {
+        current.append('posts', items, more);
+      } else {
+        current.section('posts', Object.assign({ items }, more));
+      }
+      shown = options.hits.length;
+      current.done();
+    });
 
-  search.addWidgets([
-    instantsearch.widgets.configure({
-      attributesToSnippet: ['excerpt'],
-    }),
-  ]);
-
-  search.addWidget(
-    instantsearch.widgets.searchBox({
-      container: '#algolia-input',
-      placeholder: translation.hint,
-      showReset: false,
-      showSubmit: false,
-      showLoadingIndicator: false,
-      cssClasses: {
-        root: 'searchbox-input-container',
-        form: 'searchbox-input-container',
-        input: 'searchbox-input',
+    search.on('error', (e) => {
+      if (current) {
+        current.fail(e.error || e);
+      }
+    });
+
+    search.addWidgets(
+      [
+        instantsearch.widgets.configure({
+          attributesToSnippet: ['excerpt'],
+        }),
+        searchBox({}),
+        infiniteHits({}),
+        instantsearch.widgets.poweredBy({
+          container: '#algolia-poweredby',
+        }),
+      ].concat(config.facets === false ? [] : facetWidgets()),
+    );
+
+    return {
+      hash: '#algolia-search',
+
+      init: function () {
+        search.start();
       },
-    }),
-  );
-
-  search.addWidget(
-    instantsearch.widgets.poweredBy({
-      container: '#algolia-poweredby',
-    }),
-  );
-
-  search.addWidget(
-    instantsearch.widgets.hits({
-      container: '.searchbox-body',
-      escapeHTML: false,
-      cssClasses: {
-        root: 'searchbox-result-container',
-        emptyRoot: ['searchbox-result-item', 'disabled'],
+
+      fromParams: function (params) {
+        const values = FACETS.map((facet) => params.getAll(facet.param));
+        if (JSON.stringify(values) !== JSON.stringify(facetState())) {
+          setFacetState(values);
+        }
+        return params.get('q') || '';
       },
-      templates: {
-        empty: function (results) {
-          return translation.no_result + ': ' + results.query;
-        },
-        item: function (hit) {
-          let title = instantsearch.highlight({ attribute: 'title', hit });
-          let excerpt = instantsearch.highlight({ attribute: 'excerpt', hit });
-          title = title ? title : translation.untitled;
-          excerpt = excerpt
-            .replace(new RegExp('<em>', 'ig'), '[algolia-highlight]')
-            .replace(new RegExp('</em>', 'ig'), '[/algolia-highlight]')
-            .replace(/(<([^>]+)>)/gi, '')
-            .replace(/(\[algolia-highlight\])/gi, '<em>')
-            .replace(/(\[\/algolia-highlight\])/gi, '</em>');
-          excerpt = excerpt ? excerpt : translation.empty_preview;
-          return `<section class="searchbox-result-section">
-                        <a class="searchbox-result-item" href="${hit.permalink}">
-                            <span class="searchbox-result-content">
-                                <span class="searchbox-result-title">${title}</span>
-                                <span class="searchbox-result-preview">${excerpt}</span>
-                            </span>
-                        </a>
-                    </section>`;
-        },
+
+      toParams: function (keywords, params) {
+        if (keywords.trim()) {
+          params.append('q', keywords.trim());
+        }
+        facetState().forEach((values, i) => {
+          values.forEach((value) => {
+            params.append(FACETS[i].param, value);
+          });
+        });
       },
-    }),
-  );
-
-  search.addWidget(
-    instantsearch.widgets.pagination({
-      container: '.searchbox-footer',
-      cssClasses: {
-        list: 'searchbox-pagination',
-        item: 'searchbox-pagination-item',
-        link: 'searchbox-pagination-link',
-        selectedItem: 'active',
-        disabledItem: 'disabled',
+
+      query: function (keywords, results) {
+        current = results;
+        shown = 0;
+        queried = JSON.stringify(facetState());
+        refine(keywords);
       },
-    }),
-  );
 
-  search.start();
+      paginate: function (type, offset, results) {
+        if (results === current && showMore) {
+          showMore();
+        }
+      },
 
-  if (location.hash.trim() === '#algolia-search') {
-    $('.searchbox').addClass('show');
+      highlight: function (item) {
+        const highlight = (attribute) => {
+          const options = { attribute, hit: item.hit, highlightedTagName: 'em' };
+          // the excerpt of a record is long, show the snippet Algolia cut around the matches
+          const snippet = item.hit._snippetResult && item.hit._snippetResult[attribute];
+          return snippet ? instantsearch.snippet(options) : instantsearch.highlight(options);
+        };
+        if (item.sub) {
+          return {
+            title: sanitize(highlight('heading') || ''),
+            preview: sanitize(highlight('excerpt') || ''),
+          };
+        }
+        const title = highlight('title');
+        const excerpt = item.hit.heading ? null : highlight('excerpt');
+        return {
+          title: title ? sanitize(title) : '',
+          preview: excerpt
+            ? sanitize(excerpt)
+            : Searchbox.escapeHTML(translation.empty_preview || ''),
+        };
+      },
+    };
   }
 
-  $(document)
-    .on('click', '.navbar-main .search', () => {
-      $('.searchbox').toggleClass('show');
-      $('.searchbox-input').focus();
-    })
-    .on('click', '.searchbox .searchbox-mask', () => {
-      $('.searchbox').removeClass('show');
-    })
-    .on('click', '.searchbox-close', () => {
-      $('.searchbox').removeClass('show');
-    });
+  $.ajax({
+    url: config.searchboxScriptUrl || '/js/searchbox.js',
+    dataType: 'script',
+    cache: true,
+  }).then(() => {
+    Searchbox.register('algolia', algolia);
+    Searchbox.start('algolia', Object.assign({ fallback: 'insight' }, config), translation);
+  });
 }
@@ -1,44 +1,105 @@
-/* global google */
+/* global google, Searchbox */
+/**
+ * Google Custom Search provider of the search box in js/searchbox.js
+ * Google renders the results itself, into the .gcse-searchresults-only element of the layout.
+ * When its script doesn't load, or a query isn't rendered within the search box timeout, the
+ * search box falls back to the local Insight search.
+ *
+ * Starts on its own once included by the layout. Options of the search box and the labels
+ * of the fallback can be given as JSON in data-config and data-translation attributes of the
+ * script tag, e.g. data-config='{"fallback":null}' to turn the fallback off.
+ */
 (function (document, $) {
-  function debounce(func, wait, immediate) {
-    let timeout;
-    return function () {
-      const context = this;
-      const args = arguments;
-      const later = function () {
-        timeout = null;
-        if (!immediate) func.apply(context, args);
-      };
-      const callNow = immediate && !timeout;
-      clearTimeout(timeout);
-      timeout = setTimeout(later, wait);
-      if (callNow) func.apply(context, args);
-    };
+  function dataOf(script, name) {
+    try {
+      return JSON.parse((script && script.getAttribute('data-' + name)) || '{}') || {};
+    } catch (e) {
+      return {};
+    }
   }
 
-  $(document)
-    .on('click', '.navbar-main .search', () => {
-      $('.searchbox').toggleClass('show');
-    })
-    .on('click', '.searchbox .searchbox-mask', () => {
-      $('.searchbox').removeClass('show');
-    })
-    .on('click', '.searchbox-close', () => {
-      $('.searchbox').removeClass('show');
-    })
-    .on(
-      'keydown',
-      '.searchbox-input',
-      debounce(function () {
-        const value = $(this).val();
+  const script = document.currentScript;
+  const config = dataOf(script, 'config');
+  const translation = Object.assign(
+    { hint: $('.searchbox .searchbox-input').attr('placeholder') || '' },
+    dataOf(script, 'translation'),
+  );
+
+  function googleCSE() {
+    const $results = $('.searchbox .gcse-searchresults-only');
+    // The results of the query Google is running, settled once it rendered them
+    let pending = null;
+
+    // let the keyboard navigation of the search box walk through the results
+    if (window.MutationObserver && $results.length) {
+      new MutationObserver((mutations) => {
+        $results
+          .find('.gsc-webResult.gsc-result:not(.searchbox-result-item)')
+          .addClass('searchbox-result-item')
+          .attr('data-external', '');
+        const rendered = mutations.some((mutation) => {
+          return Array.from(mutation.addedNodes).some((node) => {
+            return (
+              $(node).is('.gsc-results, .gsc-result, .gs-no-results-result') ||
+              $(node).find('.gsc-result, .gs-no-results-result').length > 0
+            );
+          });
+        });
+        if (pending && rendered) {
+          pending.done();
+          pending = null;
+        }
+      }).observe($results[0], { childList: true, subtree: true });
+    }
+
+    let element = null;
+
+    return {
+      debounce: 300,
+
+      init: function () {
+        // wait for Google to render the element, the search box gives up after its timeout
+        const deferred = $.Deferred();
+        (function poll() {
+          try {
+            element = google.search.cse.element.getElement('searchresults-only0');
+          } catch (e) {}
+          if (element) {
+            deferred.resolve();
+          } else if (deferred.state() === 'pending') {
+            setTimeout(poll, 100);
+          }
+        })();
+        setTimeout(() => deferred.reject(new Error('Google CSE did not load')), 10000);
+        return deferred.promise();
+      },
+
+      query: function (keywords, results) {
+        results.element($results);
+        pending = null;
         try {
-          const element = google.search.cse.element.getElement('searchresults-only0');
-          if (value.trim() === '') {
+          if (keywords.trim() === '') {
             element.clearAllResults();
+            results.done();
           } else {
-            element.execute(value);
+            // answered when the results show up, or failed by the search box timeout
+            pending = results;
+            element.execute(keywords);
           }
-        } catch (e) {}
-      }, 300),
-    );
+        } catch (e) {
+          pending = null;
+          results.fail(e);
+        }
+      },
+    };
+  }
+
+  $.ajax({
+    url: config.searchboxScriptUrl || '/js/searchbox.js',
+    dataType: 'script',
+    cache: true,
+  }).then(() => {
+    Searchbox.register('google-cse', googleCSE);
+    Searchbox.start('google-cse', Object.assign({ fallback: 'insight' }, config), translation);
+  });
 })(document, jQuery);
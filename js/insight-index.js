@@ -0,0 +1,887 @@
+/**
+ * Inverted index for the Insight search plugin.
+ * Built ahead of time by scripts/build-insight-index.js and queried by js/insight.js.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.InsightIndex = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  const VERSION = 4;
+
+  // Fields indexed for every section of content.json, with the same weights insight.js uses.
+  // The first field is the one the build script spells out in pinyin.
+  const SECTIONS = {
+    posts: { fields: ['title', 'text'], weights: [3, 1] },
+    pages: { fields: ['title', 'text'], weights: [3, 1] },
+    categories: { fields: ['name', 'slug'], weights: [1, 1] },
+    tags: { fields: ['name', 'slug'], weights: [1, 1] },
+  };
+  // Position of the postings of each section in the entry of a term
+  const SECTION_ORDER = Object.keys(SECTIONS);
+
+  // BM25 parameters
+  const K1 = 1.2;
+  const B = 0.75;
+  const PREFIX_FACTOR = 0.5;
+  // A pinyin match scores like one occurrence in the first field, scaled down below hanzi matches
+  const PINYIN_FACTOR = 0.25;
+  const INITIALS_FACTOR = 0.15;
+  const FUZZY_FACTOR = 0.25;
+  const MAX_CORRECTIONS = 5;
+
+  // Ranks of a match, compared before scores: exact > prefix (and pinyin) > fuzzy
+  const TIER_EXACT = 0;
+  const TIER_PREFIX = 1;
+  const TIER_FUZZY = 2;
+
+  const CJK = '\\u3400-\\u4dbf\\u4e00-\\u9fff\\uf900-\\ufaff';
+  const CJK_PATTERN = new RegExp(`^[${CJK}]`);
+  // Runs of CJK characters, or of any other letters and digits, so "CORS跨域" yields "cors" and "跨域"
+  const TOKEN_PATTERN = new RegExp(`[${CJK}]+|(?:(?![${CJK}])[\\p{L}\\p{N}_])+`, 'gu');
+  const MAX_TOKEN_LENGTH = 32;
+  const PINYIN_PATTERN = /^[a-z]{2,}$/;
+  const LATIN_PATTERN = /^[a-z][a-z0-9_]*$/;
+  const TOKEN_PATTERN_I = new RegExp(TOKEN_PATTERN.source, 'giu');
+
+  function isCJK(token) {
+    return CJK_PATTERN.test(token);
+  }
+
+  function runs(text) {
+    return text ? String(text).toLowerCase().match(TOKEN_PATTERN) || [] : [];
+  }
+
+  /**
+   * Split a piece of text into lower-cased index tokens.
+   * Chinese has no spaces between words, so CJK runs are cut into overlapping character
+   * bigrams ("跨域问题" -> "跨域", "域问", "问题"); a lone CJK character stays a unigram.
+   * @param String            text    Text to be tokenized
+   * @return Array<String>
+   */
+  function tokenize(text) {
+    return [].concat(...groups(text));
+  }
+
+  /**
+   * Split a query into groups of tokens, one group per run of text.
+   * A Latin group holds one token, a CJK group holds the bigrams of its run.
+   * @param String            text    Raw query typed by the reader
+   * @return Array<Array<String>>
+   */
+  function groups(text) {
+    const result = [];
+    runs(text).forEach((run) => {
+      if (!isCJK(run)) {
+        if (run.length <= MAX_TOKEN_LENGTH) {
+          result.push([run]);
+        }
+      } else if (run.length === 1) {
+        result.push([run]);
+      } else {
+        const bigrams = [];
+        for (let i = 0; i < run.length - 1; i++) {
+          bigrams.push(run.slice(i, i + 2));
+        }
+        result.push(bigrams);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Judge if a document matches a token group.
+   * The words of a CJK run may be spread through a post, so its group matches as soon as
+   * every character of the run is covered by a matched bigram ("跨域问题" is matched by
+   * "跨域" and "问题" even if "域问" never appears).
+   * @param Array<String>     group   Token group returned by groups()
+   * @param Function          has     Called with (token, index), tells if the document contains it
+   */
+  function isCovered(group, has) {
+    const hits = group.map(has);
+    if (hits.length === 1) {
+      return hits[0];
+    }
+    for (let i = 0; i <= hits.length; i++) {
+      if (!hits[i - 1] && !hits[i]) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Strings to highlight for a query: its tokens plus every whole CJK run,
+   * so a phrase found verbatim is highlighted in one piece.
+   * @param String            text    Raw query typed by the reader
+   * @return Array<String>
+   */
+  function highlightTerms(text) {
+    const terms = runs(text)
+      .filter((run) => {
+        return isCJK(run) && run.length > 2;
+      })
+      .concat(tokenize(text));
+    return terms.filter((term, i) => {
+      return terms.indexOf(term) === i;
+    });
+  }
+
+  // Field filters of the query syntax and their aliases
+  const FILTER_FIELDS = {
+    tag: 'tag',
+    tags: 'tag',
+    category: 'category',
+    categories: 'category',
+    cat: 'category',
+    year: 'year',
+    before: 'before',
+    after: 'after',
+  };
+  const QUERY_PATTERN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+  /**
+   * Parse the query syntax of the search box:
+   *   "python 迭代器"      quoted phrase, matched verbatim
+   *   -生成器              term (or phrase) the results must not contain
+   *   nginx OR apache      either term, `|` works too
+   *   tag:python cat:算法  posts with this tag or category (`-tag:` excludes it)
+   *   year:2020 before:2021-06 after:2019  posts by date, before and after are exclusive
+   * Every other term is required.
+   * @param String            text    Raw query typed by the reader
+   * @return Object           { clauses: Array<Array<{ text, phrase }>>, not: Array<{ text, phrase }>,
+   *                          filters: Array<{ field, value, negate }> }, where every clause is a
+   *                          list of alternatives
+   */
+  function parseQuery(text) {
+    const query = { clauses: [], not: [], filters: [] };
+    let or = false;
+    let match;
+    QUERY_PATTERN.lastIndex = 0;
+    while ((match = QUERY_PATTERN.exec(String(text || '')))) {
+      const negate = match[1] === '-';
+      const phrase = match[3] !== undefined;
+      const field = match[2] && FILTER_FIELDS[match[2].toLowerCase()];
+      let value = phrase ? match[3] : match[4];
+
+      if (field) {
+        if (value) {
+          query.filters.push({ field, value: value.toLowerCase(), negate });
+        }
+        continue;
+      }
+      if (match[2]) {
+        // not a field we know, keep "foo:bar" as it was typed
+        value = match[2] + ':' + (phrase ? '"' + value + '"' : value);
+      }
+      if (!negate && !phrase && !match[2] && (value === 'OR' || value === '|')) {
+        or = query.clauses.length > 0;
+        continue;
+      }
+      const term = { text: phrase ? value.trim().replace(/\s+/g, ' ') : value, phrase };
+      if (!term.text || (!phrase && !tokenize(term.text).length)) {
+        or = false;
+        continue;
+      }
+      if (negate) {
+        query.not.push(term);
+      } else if (or) {
+        query.clauses[query.clauses.length - 1].push(term);
+      } else {
+        query.clauses.push([term]);
+      }
+      or = false;
+    }
+    return query;
+  }
+
+  /**
+   * Text of every term the results should contain, to weight and highlight them.
+   * @param Object            query   Returned by parseQuery()
+   * @return String
+   */
+  function queryText(query) {
+    return []
+      .concat(...query.clauses)
+      .map((term) => term.text)
+      .join(' ');
+  }
+
+  /**
+   * Judge if a document contains a phrase verbatim in one of its fields.
+   */
+  function containsPhrase(doc, fields, phrase) {
+    const needle = phrase.toLowerCase();
+    return fields.some((field) => {
+      return (
+        typeof doc[field] === 'string' &&
+        doc[field].toLowerCase().replace(/\s+/g, ' ').indexOf(needle) > -1
+      );
+    });
+  }
+
+  function hasTaxonomy(doc, key, value) {
+    return (doc[key] || []).some((item) => {
+      return String(item.name).toLowerCase() === value || String(item.slug).toLowerCase() === value;
+    });
+  }
+
+  /**
+   * Judge if a post passes the field filters of a query, reading the `date`, `tags` and
+   * `categories` scripts/build-insight-index.js emits into content.json. Several years are
+   * alternatives, several tags or categories are all required.
+   * @param Array<Object>     filters Filters returned by parseQuery()
+   * @param Object            doc     Post or page of content.json
+   */
+  function matchFilters(filters, doc) {
+    const date = doc.date || '';
+    const years = [];
+    const passed = filters.every((filter) => {
+      let result;
+      switch (filter.field) {
+        case 'tag':
+          result = hasTaxonomy(doc, 'tags', filter.value);
+          break;
+        case 'category':
+          result = hasTaxonomy(doc, 'categories', filter.value);
+          break;
+        case 'year':
+          if (!filter.negate) {
+            years.push(filter.value);
+            return true;
+          }
+          result = date.startsWith(filter.value);
+          break;
+        case 'before':
+          result = !!date && date < filter.value;
+          break;
+        case 'after':
+          result = !!date && date.slice(0, filter.value.length) > filter.value;
+          break;
+        default:
+          result = true;
+      }
+      return filter.negate ? !result : result;
+    });
+    return (
+      passed &&
+      (!years.length ||
+        years.some((year) => {
+          return date.startsWith(year);
+        }))
+    );
+  }
+
+  /**
+   * Find where a Latin token spells consecutive hanzi of a field in pinyin, either in full
+   * ("kuayu", or "kuay" while still typing) or by initials ("ky"). Full pinyin wins over initials.
+   * @param Array<String>     syllables Pinyin of every UTF-16 unit of the field, '' for anything but hanzi
+   * @param String            token   Query token
+   * @return Object           { start, end, initials } character range in the field, or null
+   */
+  function matchPinyin(syllables, token) {
+    if (!Array.isArray(syllables) || !PINYIN_PATTERN.test(token)) {
+      return null;
+    }
+    let initials = null;
+    for (let start = 0; start < syllables.length; start++) {
+      if (!syllables[start]) {
+        continue;
+      }
+      let rest = token;
+      let end = start;
+      while (rest && syllables[end]) {
+        if (rest.startsWith(syllables[end])) {
+          rest = rest.slice(syllables[end].length);
+        } else if (syllables[end].startsWith(rest)) {
+          rest = '';
+        } else {
+          break;
+        }
+        end++;
+      }
+      if (!rest) {
+        return { start, end, initials: false };
+      }
+      if (
+        !initials &&
+        token.split('').every((letter, i) => {
+          return !!syllables[start + i] && syllables[start + i][0] === letter;
+        })
+      ) {
+        initials = { start, end: start + token.length, initials: true };
+      }
+    }
+    return initials;
+  }
+
+  /**
+   * Character ranges of a field spelled in pinyin by any of the keywords, for highlighting.
+   * @param Array<String>     syllables Pinyin of the field, see matchPinyin()
+   * @param Array<String>     keywords Query keywords
+   * @return Array<Array<Integer>>
+   */
+  function pinyinRanges(syllables, keywords) {
+    const ranges = [];
+    keywords.forEach((keyword) => {
+      const match = matchPinyin(syllables, keyword);
+      if (match) {
+        ranges.push([match.start, match.end]);
+      }
+    });
+    return ranges;
+  }
+
+  /**
+   * FNV-1a hash of the indexed fields of every document of a section, with their links, so
+   * an index built from a content.json that has since been edited isn't used with it.
+   */
+  function fingerprint(json, type) {
+    let hash = 0x811c9dc5;
+    (json[type] || []).forEach((doc) => {
+      const text = [doc.link]
+        .concat(SECTIONS[type].fields.map((field) => doc[field]))
+        .map((value) => (value == null ? '' : String(value)))
+        .join('\u0000');
+      for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+      }
+      hash = Math.imul(hash ^ 0xffff, 0x01000193);
+    });
+    return (hash >>> 0).toString(16);
+  }
+
+  /**
+   * Build the index of a content.json object.
+   * Every term maps to its posting lists in SECTION_ORDER, 0 for the sections it isn't in and
+   * without the trailing ones. Posting lists are flat arrays of [doc, tf(field 0),
+   * tf(field 1), ...] so the file stays compact.
+   * @param Object            json    Parsed content.json
+   * @return Object
+   */
+  function build(json) {
+    const sections = {};
+    // without a prototype, so tokens like "__proto__" and "constructor" are plain keys
+    const terms = Object.create(null);
+
+    Object.keys(SECTIONS).forEach((type) => {
+      const fields = SECTIONS[type].fields;
+      const docs = json[type] || [];
+      const lengths = [];
+      const totals = fields.map(() => 0);
+
+      docs.forEach((doc, id) => {
+        const frequencies = Object.create(null);
+        lengths.push(
+          fields.map((field, index) => {
+            const tokens = tokenize(doc[field]);
+            tokens.forEach((token) => {
+              if (!frequencies[token]) {
+                frequencies[token] = fields.map(() => 0);
+              }
+              frequencies[token][index]++;
+            });
+            totals[index] += tokens.length;
+            return tokens.length;
+          }),
+        );
+        const position = SECTION_ORDER.indexOf(type);
+        Object.keys(frequencies).forEach((token) => {
+          const entry = terms[token] || (terms[token] = []);
+          while (entry.length <= position) {
+            entry.push(0);
+          }
+          if (!entry[position]) {
+            entry[position] = [];
+          }
+          entry[position].push(id, ...frequencies[token]);
+        });
+      });
+
+      sections[type] = {
+        size: docs.length,
+        fingerprint: fingerprint(json, type),
+        avgdl: totals.map((total) => (docs.length ? total / docs.length : 0)),
+        dl: lengths,
+      };
+    });
+
+    return { version: VERSION, sections, terms };
+  }
+
+  /**
+   * Check that an index was built by this version and matches the loaded content.json.
+   * @param Object            index   Parsed index file
+   * @param Object            json    Parsed content.json
+   */
+  function isCompatible(index, json) {
+    if (!index || index.version !== VERSION || !index.sections || !index.terms) {
+      return false;
+    }
+    return Object.keys(SECTIONS).every((type) => {
+      const section = index.sections[type];
+      return (
+        section &&
+        section.size === (json[type] || []).length &&
+        section.fingerprint === fingerprint(json, type)
+      );
+    });
+  }
+
+  /**
+   * Posting list of a term in one section, null when the term isn't in it.
+   */
+  function postings(index, term, type) {
+    const entry = Object.prototype.hasOwnProperty.call(index.terms, term)
+      ? index.terms[term]
+      : null;
+    return (entry && entry[SECTION_ORDER.indexOf(type)]) || null;
+  }
+
+  function termList(index) {
+    if (!index.sortedTerms) {
+      Object.defineProperty(index, 'sortedTerms', {
+        value: Object.keys(index.terms).sort(),
+      });
+    }
+    return index.sortedTerms;
+  }
+
+  /**
+   * Find every indexed term that starts with the given token.
+   * A single CJK character also matches the bigrams it ends.
+   * @param Object            index   Parsed index file
+   * @param String            token   Query token
+   * @return Array<String>
+   */
+  function expand(index, token) {
+    const list = termList(index);
+    if (token.length === 1 && isCJK(token)) {
+      return list.filter((term) => {
+        return term[0] === token || (term.length === 2 && term[1] === token);
+      });
+    }
+    let low = 0;
+    let high = list.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (list[mid] < token) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    const result = [];
+    for (let i = low; i < list.length && list[i].startsWith(token); i++) {
+      result.push(list[i]);
+    }
+    return result;
+  }
+
+  function idf(size, df) {
+    return Math.log(1 + (size - df + 0.5) / (df + 0.5));
+  }
+
+  /**
+   * Keep the better of two matches of a document: the lower tier, then the higher score.
+   */
+  function keepBest(matched, id, score, tier) {
+    const current = matched[id];
+    if (!current || tier < current.tier || (tier === current.tier && score > current.score)) {
+      matched[id] = { score, tier };
+    }
+  }
+
+  /**
+   * Score every document of one section containing a query token (BM25F).
+   * @param Object            index   Parsed index file
+   * @param String            type    Section name, one of posts, pages, categories and tags
+   * @param String            token   Query token
+   * @param Array<Object>     fuzzy   Corrections of the token returned by corrections(), optional
+   * @return Object           { score, tier } keyed by document id
+   */
+  function scoreToken(index, type, token, fuzzy) {
+    const section = index.sections[type];
+    const weights = SECTIONS[type].weights;
+    const stride = weights.length + 1;
+    const matched = {};
+
+    const score = (term, factor, tier) => {
+      const list = postings(index, term, type);
+      if (!list) {
+        return;
+      }
+      const weight = idf(section.size, list.length / stride);
+      for (let i = 0; i < list.length; i += stride) {
+        const id = list[i];
+        let tf = 0;
+        weights.forEach((w, field) => {
+          const norm = section.avgdl[field] ? section.dl[id][field] / section.avgdl[field] : 0;
+          tf += (w * list[i + field + 1]) / (1 - B + B * norm);
+        });
+        keepBest(matched, id, (factor * weight * tf) / (K1 + tf), tier);
+      }
+    };
+
+    expand(index, token).forEach((term) => {
+      if (term === token) {
+        score(term, 1, TIER_EXACT);
+      } else {
+        score(term, PREFIX_FACTOR, TIER_PREFIX);
+      }
+    });
+    (fuzzy || []).forEach((correction) => {
+      score(correction.term, FUZZY_FACTOR / correction.distance, TIER_FUZZY);
+    });
+
+    return matched;
+  }
+
+  /**
+   * Score the documents of one section whose first field spells a query token in pinyin.
+   * Pinyin matches rank with prefix matches, below exact hanzi matches.
+   * @param Array<Object>     docs    Entries of the section in content.json
+   * @param String            type    Section name
+   * @param String            token   Query token
+   * @param Object            matched Matches of scoreToken(), kept when better
+   * @return Object           { score, tier } keyed by document id
+   */
+  function scorePinyin(docs, type, token, matched) {
+    const hits = [];
+    docs.forEach((doc, id) => {
+      const match = matchPinyin(doc.pinyin, token);
+      if (match) {
+        hits.push({ id, factor: match.initials ? INITIALS_FACTOR : PINYIN_FACTOR });
+      }
+    });
+    const w = SECTIONS[type].weights[0];
+    const weight = idf(docs.length, hits.length);
+    hits.forEach((hit) => {
+      keepBest(matched, hit.id, (hit.factor * weight * w) / (K1 + w), TIER_PREFIX);
+    });
+    return matched;
+  }
+
+  /**
+   * Score the documents of one section that match every group of the query.
+   * A document ranks by the worst tier any of its tokens matched with, then by score.
+   * @param Object            index   Parsed index file
+   * @param String            type    Section name, one of posts, pages, categories and tags
+   * @param Array<Array>      query   Token groups returned by groups()
+   * @param Array<Object>     docs    Entries of the section in content.json, to match pinyin
+   * @param Object            vocabulary Returned by vocabulary(), enables fuzzy matches
+   * @return Array<Object>    [{ id, score, tier }] sorted by tier and descending score
+   */
+  function searchSection(index, type, query, docs, vocabulary) {
+    let scores = null;
+
+    for (const group of query) {
+      const matched = group.map((token) => {
+        const fuzzy = vocabulary && corrections(vocabulary, token);
+        const tokenScores = scoreToken(index, type, token, fuzzy);
+        return docs ? scorePinyin(docs, type, token, tokenScores) : tokenScores;
+      });
+      const candidates = scores === null ? {} : scores;
+      if (scores === null) {
+        matched.forEach((tokenScores) => {
+          Object.keys(tokenScores).forEach((id) => {
+            candidates[id] = { score: 0, tier: TIER_EXACT };
+          });
+        });
+      }
+
+      const next = {};
+      Object.keys(candidates).forEach((id) => {
+        if (
+          isCovered(group, (token, i) => {
+            return Object.prototype.hasOwnProperty.call(matched[i], id);
+          })
+        ) {
+          next[id] = matched.reduce((result, tokenScores) => {
+            const match = tokenScores[id];
+            if (!match) {
+              return result;
+            }
+            return { score: result.score + match.score, tier: Math.max(result.tier, match.tier) };
+          }, candidates[id]);
+        }
+      });
+      scores = next;
+      if (!Object.keys(scores).length) {
+        break;
+      }
+    }
+
+    return Object.keys(scores || {})
+      .map((id) => {
+        return { id: Number(id), score: scores[id].score, tier: scores[id].tier };
+      })
+      .sort((a, b) => {
+        return a.tier - b.tier || b.score - a.score || a.id - b.id;
+      });
+  }
+
+  /**
+   * Documents of one section matching a term of a parsed query.
+   * Phrases are looked up like plain terms, then checked verbatim when content.json is at hand.
+   * @param Object            term    { text, phrase } from parseQuery()
+   * @return Array<Object>    [{ id, score, tier }]
+   */
+  function searchTerm(index, type, term, docs, vocabulary) {
+    const matches = searchSection(
+      index,
+      type,
+      groups(term.text),
+      docs,
+      term.phrase ? null : vocabulary,
+    );
+    if (!term.phrase || !docs) {
+      return matches;
+    }
+    return matches.filter((match) => {
+      return containsPhrase(docs[match.id], SECTIONS[type].fields, term.text);
+    });
+  }
+
+  /**
+   * Run a parsed query against one section of the index.
+   * Field filters only apply to posts and pages, see matchFilters().
+   * @return Array<Object>    [{ id, score, tier }] sorted by tier and descending score
+   */
+  function searchQuery(index, type, query, docs, vocabulary) {
+    const filterable = type === 'posts' || type === 'pages';
+    let scores = null;
+
+    if (!query.clauses.length) {
+      if (!query.filters.length || !filterable || !docs) {
+        return [];
+      }
+      // a query made of filters only lists every matching document in content.json order
+      scores = {};
+      docs.forEach((doc, id) => {
+        scores[id] = { score: 0, tier: TIER_EXACT };
+      });
+    }
+
+    for (const clause of query.clauses) {
+      const union = {};
+      clause.forEach((term) => {
+        searchTerm(index, type, term, docs, vocabulary).forEach((match) => {
+          keepBest(union, match.id, match.score, match.tier);
+        });
+      });
+      const next = {};
+      Object.keys(union).forEach((id) => {
+        if (scores === null) {
+          next[id] = union[id];
+        } else if (Object.prototype.hasOwnProperty.call(scores, id)) {
+          next[id] = {
+            score: scores[id].score + union[id].score,
+            tier: Math.max(scores[id].tier, union[id].tier),
+          };
+        }
+      });
+      scores = next;
+    }
+
+    query.not.forEach((term) => {
+      searchTerm(index, type, term, docs, null).forEach((match) => {
+        delete scores[match.id];
+      });
+    });
+    if (filterable && docs && query.filters.length) {
+      Object.keys(scores).forEach((id) => {
+        if (!matchFilters(query.filters, docs[id])) {
+          delete scores[id];
+        }
+      });
+    }
+
+    return Object.keys(scores)
+      .map((id) => {
+        return { id: Number(id), score: scores[id].score, tier: scores[id].tier };
+      })
+      .sort((a, b) => {
+        return a.tier - b.tier || b.score - a.score || a.id - b.id;
+      });
+  }
+
+  /**
+   * Query every section of the index, or only some of them.
+   * @param Object            index   Parsed index file
+   * @param String            keywords Raw query typed by the reader, see parseQuery()
+   * @param Object            json    Parsed content.json, optional, enables pinyin matches,
+   *                                  phrase checks and field filters
+   * @param Object            vocabulary Returned by vocabulary(), optional, enables fuzzy matches
+   * @param Array<String>     types   Sections to query, defaults to all of them
+   * @return Object           { posts, pages, categories, tags } of [{ id, score, tier }]
+   */
+  function search(index, keywords, json, vocabulary, types) {
+    const query = parseQuery(keywords);
+    const result = {};
+    (types || Object.keys(SECTIONS)).forEach((type) => {
+      result[type] = searchQuery(index, type, query, json && json[type], vocabulary);
+    });
+    return result;
+  }
+
+  /**
+   * Count in how many documents every Latin term appears, from the index when there is one
+   * or else by tokenizing content.json. Fuzzy matching picks its corrections from these terms.
+   * @param Object            json    Parsed content.json
+   * @param Object            index   Parsed index file, optional
+   * @return Object           Document frequencies keyed by term
+   */
+  function vocabulary(json, index) {
+    const df = Object.create(null);
+    if (index) {
+      Object.keys(index.terms).forEach((term) => {
+        if (LATIN_PATTERN.test(term)) {
+          df[term] = SECTION_ORDER.reduce((count, type) => {
+            const list = postings(index, term, type);
+            return count + (list ? list.length / (SECTIONS[type].fields.length + 1) : 0);
+          }, 0);
+        }
+      });
+      return df;
+    }
+    Object.keys(SECTIONS).forEach((type) => {
+      (json[type] || []).forEach((doc) => {
+        const seen = Object.create(null);
+        SECTIONS[type].fields.forEach((field) => {
+          tokenize(doc[field]).forEach((term) => {
+            if (LATIN_PATTERN.test(term) && !seen[term]) {
+              seen[term] = true;
+              df[term] = (df[term] || 0) + 1;
+            }
+          });
+        });
+      });
+    });
+    return df;
+  }
+
+  /**
+   * Damerau-Levenshtein (optimal string alignment) distance, so "nignx" is one edit from "nginx".
+   * Gives up as soon as the distance must exceed max.
+   * @return Integer          The distance, or max + 1 when it is larger than max
+   */
+  function distance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) {
+      return max + 1;
+    }
+    let prev2 = null;
+    let prev = [];
+    for (let j = 0; j <= b.length; j++) {
+      prev.push(j);
+    }
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+        if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, prev2[j - 2] + 1);
+        }
+        row.push(value);
+        rowMin = Math.min(rowMin, value);
+      }
+      if (rowMin > max) {
+        return max + 1;
+      }
+      prev2 = prev;
+      prev = row;
+    }
+    return prev[b.length];
+  }
+
+  function maxDistance(token) {
+    if (token.length < 4) {
+      return 0;
+    }
+    return token.length < 6 ? 1 : 2;
+  }
+
+  /**
+   * Terms of the vocabulary within a bounded edit distance of a Latin token, closest and most
+   * frequent first. Terms the token is a prefix of are left out, they already match.
+   * @param Object            vocabulary Returned by vocabulary()
+   * @param String            token   Query token
+   * @return Array<Object>    [{ term, distance }]
+   */
+  function corrections(vocabulary, token) {
+    const max = maxDistance(token);
+    if (!max || !LATIN_PATTERN.test(token)) {
+      return [];
+    }
+    const result = [];
+    Object.keys(vocabulary).forEach((term) => {
+      if (term.startsWith(token)) {
+        return;
+      }
+      const d = distance(token, term, max);
+      if (d <= max) {
+        result.push({ term, distance: d });
+      }
+    });
+    return result
+      .sort((a, b) => {
+        return a.distance - b.distance || vocabulary[b.term] - vocabulary[a.term];
+      })
+      .slice(0, MAX_CORRECTIONS);
+  }
+
+  /**
+   * Rewrite a query, replacing every Latin word no term starts with by its best correction.
+   * @param Object            vocabulary Returned by vocabulary()
+   * @param String            keywords Raw query typed by the reader
+   * @return String           The corrected query, or null if nothing could be corrected
+   */
+  function suggest(vocabulary, keywords) {
+    const terms = Object.keys(vocabulary);
+    let corrected = false;
+    const result = String(keywords).replace(TOKEN_PATTERN_I, (word) => {
+      const token = word.toLowerCase();
+      if (
+        !LATIN_PATTERN.test(token) ||
+        terms.some((term) => {
+          return term.startsWith(token);
+        })
+      ) {
+        return word;
+      }
+      const best = corrections(vocabulary, token)[0];
+      if (!best) {
+        return word;
+      }
+      corrected = true;
+      return best.term;
+    });
+    return corrected ? result : null;
+  }
+
+  return {
+    VERSION,
+    SECTIONS,
+    tokenize,
+    groups,
+    isCovered,
+    highlightTerms,
+    matchPinyin,
+    pinyinRanges,
+    build,
+    isCompatible,
+    expand,
+    search,
+    parseQuery,
+    queryText,
+    containsPhrase,
+    matchFilters,
+    vocabulary,
+    corrections,
+    suggest,
+  };
+});
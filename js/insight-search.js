@@ -0,0 +1,359 @@
+/* global InsightIndex */
+/**
+ * Search logic of the Insight search plugin, free of any DOM code so that it can run
+ * in js/insight-worker.js as well as on the page when Web Workers are unavailable.
+ * Needs js/insight-index.js to be loaded first.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./insight-index'));
+  } else {
+    root.InsightSearch = factory(root.InsightIndex);
+  }
+})(typeof self !== 'undefined' ? self : this, (InsightIndex) => {
+  // Share of a keyword's weight left when it only matched after a typo correction
+  const FUZZY_WEIGHT = 0.01;
+
+  // Result sections, in the order they are searched and rendered
+  const TYPES = ['posts', 'pages', 'categories', 'tags'];
+  const POPULAR_LIMIT = 8;
+  const CLOSEST_LIMIT = 5;
+  // Least similarity, see similarity(), for a title or name to be offered as a closest match
+  const CLOSEST_THRESHOLD = 0.3;
+  const FACTORY_KEYS = { posts: 'post', pages: 'page', categories: 'category', tags: 'tag' };
+
+  function parseKeywords(keywords) {
+    return InsightIndex.tokenize(keywords).filter((keyword, i, all) => {
+      return all.indexOf(keyword) === i;
+    });
+  }
+
+  /**
+   * Map every keyword to the terms it is a typo of, when the fuzzy mode is on.
+   * @param Object            vocabulary Returned by InsightIndex.vocabulary()
+   * @return Object           Arrays of corrected terms keyed by keyword, or null
+   */
+  function fuzzyFactory(keywords, vocabulary) {
+    if (!vocabulary) {
+      return null;
+    }
+    const fuzzy = {};
+    parseKeywords(keywords).forEach((keyword) => {
+      fuzzy[keyword] = InsightIndex.corrections(vocabulary, keyword).map((correction) => {
+        return correction.term;
+      });
+    });
+    return fuzzy;
+  }
+
+  /**
+   * Find a keyword in one field of a post/page/category/tag.
+   * The `pinyin` field, emitted by scripts/build-insight-index.js, holds the pinyin of the
+   * title or name and is matched with InsightIndex.matchPinyin instead of a substring search.
+   * @param Object            fuzzy   Returned by fuzzyFactory(), optional
+   * @return Integer          0 if not found, 1 if found, 0.5 if only matched by pinyin initials,
+   *                          FUZZY_WEIGHT if only matched by a typo correction
+   */
+  function matchField(keyword, obj, field, fuzzy) {
+    if (!Object.prototype.hasOwnProperty.call(obj, field)) {
+      return 0;
+    }
+    if (field === 'pinyin') {
+      const match = InsightIndex.matchPinyin(obj.pinyin, keyword);
+      return match ? (match.initials ? 0.5 : 1) : 0;
+    }
+    const text = obj[field].toLowerCase();
+    if (text.indexOf(keyword) > -1) {
+      return 1;
+    }
+    const corrected = fuzzy && fuzzy[keyword];
+    if (
+      corrected &&
+      corrected.some((term) => {
+        return text.indexOf(term) > -1;
+      })
+    ) {
+      return FUZZY_WEIGHT;
+    }
+    return 0;
+  }
+
+  /**
+   * Judge if a given post/page/category/tag contains all of the keywords.
+   * CJK keywords match when their bigrams cover every character, see InsightIndex.isCovered.
+   * @param Object            obj     Object to be weighted
+   * @param Array<String>     fields  Object's fields to find matches
+   * @param Object            fuzzy   Returned by fuzzyFactory(), optional
+   */
+  function filter(keywords, obj, fields, fuzzy) {
+    return InsightIndex.groups(keywords).every((group) => {
+      return InsightIndex.isCovered(group, (keyword) => {
+        return fields.some((field) => {
+          return matchField(keyword, obj, field, fuzzy) > 0;
+        });
+      });
+    });
+  }
+
+  /**
+   * Judge if a given post/page/category/tag satisfies a parsed query: one alternative of every
+   * clause and none of the negated terms. Field filters only apply to posts and pages, so a
+   * query made of filters only lists no category or tag.
+   * @param Object            query   Returned by InsightIndex.parseQuery()
+   * @param Boolean           filterable Whether the field filters apply to the object
+   */
+  function filterQuery(query, obj, fields, fuzzy, filterable) {
+    const contains = (term, termFuzzy) => {
+      return term.phrase
+        ? InsightIndex.containsPhrase(obj, fields, term.text)
+        : filter(term.text, obj, fields, termFuzzy);
+    };
+    if (!filterable && query.filters.length && !query.clauses.length) {
+      return false;
+    }
+    return (
+      query.clauses.every((clause) => {
+        return clause.some((term) => {
+          return contains(term, fuzzy);
+        });
+      }) &&
+      !query.not.some((term) => {
+        return contains(term, null);
+      }) &&
+      (!filterable || InsightIndex.matchFilters(query.filters, obj))
+    );
+  }
+
+  function filterFactory(query, fuzzy) {
+    return {
+      post: function (obj) {
+        return filterQuery(query, obj, ['title', 'text', 'pinyin'], fuzzy, true);
+      },
+      page: function (obj) {
+        return filterQuery(query, obj, ['title', 'text', 'pinyin'], fuzzy, true);
+      },
+      category: function (obj) {
+        return filterQuery(query, obj, ['name', 'slug', 'pinyin'], fuzzy, false);
+      },
+      tag: function (obj) {
+        return filterQuery(query, obj, ['name', 'slug', 'pinyin'], fuzzy, false);
+      },
+    };
+  }
+
+  /**
+   * Calculate the weight of a matched post/page/category/tag.
+   * @param Object            obj     Object to be weighted
+   * @param Array<String>     fields  Object's fields to find matches
+   * @param Array<Integer>    weights Weight of every field
+   * @param Object            fuzzy   Returned by fuzzyFactory(), optional
+   */
+  function weight(keywords, obj, fields, weights, fuzzy) {
+    let value = 0;
+    parseKeywords(keywords).forEach((keyword) => {
+      const pattern = new RegExp(keyword, 'img'); // Global, Multi-line, Case-insensitive
+      fields.forEach((field, index) => {
+        if (field === 'pinyin') {
+          value += matchField(keyword, obj, field) * weights[index];
+        } else if (Object.prototype.hasOwnProperty.call(obj, field)) {
+          const matches = obj[field].match(pattern);
+          value += matches ? matches.length * weights[index] : 0;
+          if (!matches && fuzzy && fuzzy[keyword]) {
+            fuzzy[keyword].forEach((term) => {
+              const corrected = obj[field].match(new RegExp(term, 'img'));
+              value += corrected ? corrected.length * weights[index] * FUZZY_WEIGHT : 0;
+            });
+          }
+        }
+      });
+    });
+    return value;
+  }
+
+  function weightFactory(keywords, fuzzy) {
+    return {
+      // pinyin weighs less than a single hanzi match in any other field
+      post: function (obj) {
+        return weight(keywords, obj, ['title', 'text', 'pinyin'], [3, 1, 0.5], fuzzy);
+      },
+      page: function (obj) {
+        return weight(keywords, obj, ['title', 'text', 'pinyin'], [3, 1, 0.5], fuzzy);
+      },
+      category: function (obj) {
+        return weight(keywords, obj, ['name', 'slug', 'pinyin'], [1, 1, 0.5], fuzzy);
+      },
+      tag: function (obj) {
+        return weight(keywords, obj, ['name', 'slug', 'pinyin'], [1, 1, 0.5], fuzzy);
+      },
+    };
+  }
+
+  /**
+   * Search one section of content.json, or of the inverted index when it is loaded.
+   * The keywords follow the query syntax documented in InsightIndex.parseQuery.
+   * @param Object            json    Parsed content.json
+   * @param String            type    Section name, one of TYPES
+   * @param Object            index   Parsed inverted index, optional
+   * @param Object            vocabulary Returned by InsightIndex.vocabulary(), enables fuzzy matches
+   * @return Array<Object>    Every matching entry of the section, best first
+   */
+  function searchSection(json, type, keywords, index, vocabulary) {
+    const query = InsightIndex.parseQuery(keywords);
+    // nothing to look for, e.g. "(", "OR" or the "-" of an exclusion being typed
+    if (!query.clauses.length && !query.filters.length) {
+      return [];
+    }
+    if (index) {
+      return InsightIndex.search(index, keywords, json, vocabulary, [type])[type].map((match) => {
+        return json[type][match.id];
+      });
+    }
+    const text = InsightIndex.queryText(query);
+    const fuzzy = fuzzyFactory(text, vocabulary);
+    const weights = weightFactory(text, fuzzy)[FACTORY_KEYS[type]];
+    const filters = filterFactory(query, fuzzy)[FACTORY_KEYS[type]];
+    return json[type].filter(filters).sort((a, b) => {
+      return weights(b) - weights(a);
+    });
+  }
+
+  /**
+   * Tags and categories holding the most posts, read from the `tags` and `categories`
+   * of the posts that scripts/build-insight-index.js writes into content.json.
+   * @return Object           { tags, categories } of [{ name, slug, link, count }]
+   */
+  function popular(json) {
+    const result = {};
+    ['tags', 'categories'].forEach((type) => {
+      const counts = {};
+      (json.posts || []).forEach((post) => {
+        (post[type] || []).forEach((item) => {
+          counts[item.link] = (counts[item.link] || 0) + 1;
+        });
+      });
+      result[type] = (json[type] || [])
+        .filter((item) => {
+          return counts[item.link];
+        })
+        .map((item) => {
+          return { name: item.name, slug: item.slug, link: item.link, count: counts[item.link] };
+        })
+        .sort((a, b) => {
+          return b.count - a.count;
+        })
+        .slice(0, POPULAR_LIMIT);
+    });
+    return result;
+  }
+
+  function bigrams(text) {
+    const chars = Array.from(String(text).toLowerCase().replace(/\s+/g, ''));
+    if (chars.length < 2) {
+      return chars;
+    }
+    return chars.slice(1).map((char, i) => {
+      return chars[i] + char;
+    });
+  }
+
+  /**
+   * Dice coefficient of the character bigrams of two strings, from 0 to 1.
+   */
+  function similarity(a, b) {
+    const left = bigrams(a);
+    const right = bigrams(b);
+    if (!left.length || !right.length) {
+      return 0;
+    }
+    const counts = {};
+    left.forEach((gram) => {
+      counts[gram] = (counts[gram] || 0) + 1;
+    });
+    let common = 0;
+    right.forEach((gram) => {
+      if (counts[gram] > 0) {
+        counts[gram]--;
+        common++;
+      }
+    });
+    return (2 * common) / (left.length + right.length);
+  }
+
+  /**
+   * Tags, categories and post titles closest to a query, offered when it finds nothing.
+   * @return Array<Object>    [{ type, name, link }] best first
+   */
+  function closest(json, keywords) {
+    const text = InsightIndex.queryText(InsightIndex.parseQuery(keywords)) || keywords;
+    const candidates = [];
+    ['tags', 'categories'].forEach((type) => {
+      (json[type] || []).forEach((item) => {
+        candidates.push({ type, name: item.name, link: item.link });
+      });
+    });
+    (json.posts || []).forEach((post) => {
+      candidates.push({ type: 'posts', name: post.title, link: post.link });
+    });
+    return candidates
+      .map((candidate) => {
+        candidate.score = similarity(text, candidate.name || '');
+        return candidate;
+      })
+      .filter((candidate) => {
+        return candidate.score >= CLOSEST_THRESHOLD;
+      })
+      .sort((a, b) => {
+        return b.score - a.score;
+      })
+      .slice(0, CLOSEST_LIMIT)
+      .map((candidate) => {
+        return { type: candidate.type, name: candidate.name, link: candidate.link };
+      });
+  }
+
+  /**
+   * Create a searcher over a loaded content.json and optional index.
+   * @param Object            json    Parsed content.json
+   * @param Object            index   Parsed inverted index, null to scan content.json
+   * @param Object            options { fuzzy } enables typo-tolerant matching
+   */
+  function create(json, index, options) {
+    const vocabulary = options && options.fuzzy ? InsightIndex.vocabulary(json, index) : null;
+
+    return {
+      types: TYPES,
+
+      popular: function () {
+        return popular(json);
+      },
+
+      closest: function (keywords) {
+        return closest(json, keywords);
+      },
+
+      search: function (keywords, type) {
+        return searchSection(json, type, keywords, index, vocabulary);
+      },
+
+      /**
+       * Corrected query to offer when the strict search finds nothing, or null.
+       */
+      suggest: function (keywords) {
+        if (
+          !vocabulary ||
+          TYPES.some((type) => {
+            return searchSection(json, type, keywords, index, null).length > 0;
+          })
+        ) {
+          return null;
+        }
+        return InsightIndex.suggest(vocabulary, keywords);
+      },
+    };
+  }
+
+  return {
+    TYPES,
+    create,
+  };
+});
@@ -0,0 +1,140 @@
+/* global InsightIndex, InsightSearch */
+/**
+ * Web Worker running the Insight search off the main thread, see loadInsight in js/insight.js.
+ *
+ * Messages from the page:
+ *   { type: 'init', contentUrl, indexUrl, fuzzy }   load content.json and the optional index
+ *   { type: 'search', id, keywords, limits }         start a search, replacing the running one;
+ *                                                    limits caps the items sent per section
+ *   { type: 'more', id, section, offset, limit }     send more items of a section of the last search
+ *   { type: 'cancel', id }                           stop a search if it is still running
+ *
+ * Messages to the page:
+ *   { type: 'ready', popular }                       the data is loaded, popular holds the tags
+ *                                                    and categories with the most posts
+ *   { type: 'start', id, suggestion }                the search began, suggestion may be null
+ *   { type: 'partial', id, section, items, offset, total }
+ *                                                    items of one section, in render order, from
+ *                                                    the offset-th of its total matches
+ *   { type: 'done', id, closest }                    every section has been sent; when none has
+ *                                                    a match, closest lists the nearest titles,
+ *                                                    tags and categories
+ *   { type: 'error', message }                       the data could not be loaded
+ *
+ * A search yields between sections so that a newer search or a cancel takes over early,
+ * and no message of a stopped search is sent after that.
+ */
+importScripts('insight-index.js', 'insight-search.js');
+
+let searcher = null;
+let current = null;
+// Every match of the last search by section, to page through them
+let results = { id: null, sections: {} };
+
+function fetchJSON(url) {
+  return fetch(url).then((response) => {
+    if (!response.ok) {
+      throw new Error(response.status + ' ' + response.statusText + ' (' + url + ')');
+    }
+    return response.json();
+  });
+}
+
+/**
+ * Resolves to null, and the search falls back to scanning content.json,
+ * if the index can't be loaded or was built from another content.json.
+ */
+function loadIndex(url, json) {
+  if (!url) {
+    return Promise.resolve(null);
+  }
+  return fetchJSON(url).then(
+    (index) => {
+      if (!InsightIndex.isCompatible(index, json)) {
+        console.warn(url + ' was built from another content.json, scanning it instead');
+        return null;
+      }
+      return index;
+    },
+    () => null,
+  );
+}
+
+function init(data) {
+  fetchJSON(data.contentUrl)
+    .then((json) => {
+      return loadIndex(data.indexUrl, json).then((index) => {
+        searcher = InsightSearch.create(json, index, { fuzzy: data.fuzzy });
+        self.postMessage({ type: 'ready', popular: searcher.popular() });
+      });
+    })
+    .catch((e) => {
+      self.postMessage({ type: 'error', message: String(e && e.message ? e.message : e) });
+    });
+}
+
+function send(id, section, offset, limit) {
+  const items = results.sections[section];
+  self.postMessage({
+    type: 'partial',
+    id,
+    section,
+    items: items.slice(offset, offset + limit),
+    offset,
+    total: items.length,
+  });
+}
+
+function search(id, keywords, limits) {
+  current = id;
+  results = { id, sections: {} };
+  const steps = [
+    () => {
+      self.postMessage({ type: 'start', id, suggestion: searcher.suggest(keywords) });
+    },
+  ].concat(
+    searcher.types.map((type) => () => {
+      results.sections[type] = searcher.search(keywords, type);
+      send(id, type, 0, limits[type]);
+    }),
+    () => {
+      const found = searcher.types.some((type) => {
+        return results.sections[type].length > 0;
+      });
+      self.postMessage({ type: 'done', id, closest: found ? null : searcher.closest(keywords) });
+      current = null;
+    },
+  );
+
+  (function next() {
+    if (current !== id || !steps.length) {
+      return;
+    }
+    steps.shift()();
+    setTimeout(next, 0);
+  })();
+}
+
+self.onmessage = (e) => {
+  const data = e.data;
+  switch (data.type) {
+    case 'init':
+      init(data);
+      break;
+    case 'search':
+      if (searcher) {
+        search(data.id, data.keywords, data.limits);
+      }
+      break;
+    case 'more':
+      if (results.id === data.id && results.sections[data.section]) {
+        send(data.id, data.section, data.offset, data.limit);
+      }
+      break;
+    case 'cancel':
+      if (current === data.id) {
+        current = null;
+      }
+      break;
+  }
+};
@@ -1,15 +1,37 @@
+/* global InsightIndex, InsightSearch, Searchbox */
 /**
- * Insight search plugin
+ * Insight search plugin, a provider of the search box in js/searchbox.js
  * @author PPOffice { @link https://github.com/ppoffice }
  */
-// eslint-disable-next-line no-unused-vars
-function loadInsight(config, translation) {
-  const $main = $('.searchbox');
-  const $input = $main.find('.searchbox-input');
-  const $container = $main.find('.searchbox-body');
+function insightProvider(config, translation) {
+  // Filters of the query syntax that get their own URL parameter,
+  // e.g. "nginx tag:linux" is shared as #insight-search?q=nginx&tag=linux
+  const URL_FILTERS = ['tag', 'cat', 'year', 'before', 'after'];
+  const URL_FILTER_PATTERN = new RegExp(
+    '(^|\\s)(' + URL_FILTERS.join('|') + '):("[^"]*"|\\S+)',
+    'gi',
+  );
+
+  /**
+   * Items shown per section, and loaded by every "show more", set by `config.limits`:
+   * either a number for all sections or an object like { posts: 10, tags: 20 }.
+   */
+  function limitOf(type) {
+    const limits = config.limits;
+    const limit = limits !== null && typeof limits === 'object' ? limits[type] : limits;
+    return limit > 0 ? limit : 5;
+  }
 
-  function section(title) {
-    return $('<section>').addClass('searchbox-result-section').append($('<header>').text(title));
+  /**
+   * URL of the index built by scripts/build-insight-index.js: `config.indexUrl`, or else
+   * content.index.json next to content.json. Set `indexUrl: false` to scan content.json.
+   */
+  function indexUrl() {
+    if (config.indexUrl !== undefined) {
+      return config.indexUrl || null;
+    }
+    const url = String(config.contentUrl);
+    return /\.json(?=$|[?#])/.test(url) ? url.replace(/\.json(?=$|[?#])/, '.index.json') : null;
   }
 
   function merge(ranges) {
@@ -27,328 +49,563 @@ function loadInsight(config, translation) {
     return result;
   }
 
-  function findAndHighlight(text, matches, maxlen) {
-    if (!Array.isArray(matches) || !matches.length || !text) {
-      return maxlen ? text.slice(0, maxlen) : text;
-    }
-    const testText = text.toLowerCase();
-    const indices = matches
-      .map((match) => {
-        const index = testText.indexOf(match.toLowerCase());
-        if (!match || index === -1) {
-          return null;
-        }
-        return [index, index + match.length];
-      })
-      .filter((match) => {
-        return match !== null;
-      })
-      .sort((a, b) => {
-        return a[0] - b[0] || a[1] - b[1];
-      });
-
-    if (!indices.length) {
-      return text;
-    }
+  const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
 
-    let result = '';
-    let last = 0;
-    const ranges = merge(indices);
-    const sumRange = [ranges[0][0], ranges[ranges.length - 1][1]];
-    if (maxlen && maxlen < sumRange[1]) {
-      last = sumRange[0];
-    }
+  /**
+   * Hexo stores the text of content.json with HTML entities, decode them so that the
+   * text is matched and escaped as it reads.
+   */
+  function decodeHTML(text) {
+    return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+      if (name.charAt(0) === '#') {
+        const code =
+          name.charAt(1).toLowerCase() === 'x'
+            ? parseInt(name.slice(2), 16)
+            : parseInt(name.slice(1), 10);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+      }
+      const char = HTML_ENTITIES[name.toLowerCase()];
+      return char !== undefined ? char : entity;
+    });
+  }
 
-    for (let i = 0; i < ranges.length; i++) {
-      const range = ranges[i];
-      result += text.slice(last, Math.min(range[0], sumRange[0] + maxlen));
-      if (maxlen && range[0] >= sumRange[0] + maxlen) {
-        break;
+  /**
+   * Find every occurrence of the matches in a text.
+   * @param Array<Array>      extraRanges [start, end) ranges matched otherwise, e.g. by pinyin
+   * @return Array<Object>    { start, end, match } sorted by position
+   */
+  function findOccurrences(text, matches, extraRanges) {
+    const testText = text.toLowerCase();
+    const occurrences = (extraRanges || []).map((range) => {
+      return { start: range[0], end: range[1], match: null };
+    });
+    (matches || []).forEach((match) => {
+      const needle = match.toLowerCase();
+      if (!needle) {
+        return;
       }
-      result += '<em>' + text.slice(range[0], range[1]) + '</em>';
-      last = range[1];
-      if (i === ranges.length - 1) {
-        if (maxlen) {
-          result += text.slice(range[1], Math.min(text.length, sumRange[0] + maxlen + 1));
-        } else {
-          result += text.slice(range[1]);
-        }
+      for (
+        let index = testText.indexOf(needle);
+        index > -1;
+        index = testText.indexOf(needle, index + needle.length)
+      ) {
+        occurrences.push({ start: index, end: index + needle.length, match: needle });
       }
-    }
+    });
+    return occurrences.sort((a, b) => {
+      return a.start - b.start || a.end - b.end;
+    });
+  }
 
-    return result;
+  /**
+   * Escape text[start, end) and wrap the parts inside the ranges in <em>.
+   */
+  function highlight(text, ranges, start, end) {
+    let result = '';
+    let last = start;
+    ranges.forEach((range) => {
+      const from = Math.max(range[0], last);
+      const to = Math.min(range[1], end);
+      if (from < to) {
+        result += Searchbox.escapeHTML(text.slice(last, from));
+        result += '<em>' + Searchbox.escapeHTML(text.slice(from, to)) + '</em>';
+        last = to;
+      }
+    });
+    return result + Searchbox.escapeHTML(text.slice(last, end));
   }
 
-  function searchItem(icon, title, slug, preview, url) {
-    title = title != null && title !== '' ? title : translation.untitled;
-    const subtitle = slug
-      ? '<span class="searchbox-result-title-secondary">(' + slug + ')</span>'
-      : '';
-
-    return `<a class="searchbox-result-item" href="${url}">
-            <span class="searchbox-result-icon">
-                <i class="fa fa-${icon}" />
-            </span>
-            <span class="searchbox-result-content">
-                <span class="searchbox-result-title">
-                    ${title}
-                    ${subtitle}
-                </span>
-                ${preview ? '<span class="searchbox-result-preview">' + preview + '</span>' : ''}
-            </span>
-        </a>`;
+  function toRanges(occurrences) {
+    return merge(
+      occurrences.map((occurrence) => {
+        return [occurrence.start, occurrence.end];
+      }),
+    );
   }
 
-  function sectionFactory(keywords, type, array) {
-    let $searchItems;
-    if (array.length === 0) return null;
-    const sectionTitle = translation[type.toLowerCase()];
-    switch (type) {
-      case 'POSTS':
-      case 'PAGES':
-        $searchItems = array.map((item) => {
-          const title = findAndHighlight(item.title, keywords);
-          const text = findAndHighlight(item.text, keywords, 100);
-          return searchItem('file', title, null, text, item.link);
-        });
-        break;
-      case 'CATEGORIES':
-      case 'TAGS':
-        $searchItems = array.map((item) => {
-          const name = findAndHighlight(item.name, keywords);
-          const slug = findAndHighlight(item.slug, keywords);
-          return searchItem(type === 'CATEGORIES' ? 'folder' : 'tag', name, slug, null, item.link);
-        });
-        break;
-      default:
-        return null;
+  /**
+   * Highlight the matches in a whole title, name or slug.
+   * @return String           Escaped HTML
+   */
+  function findAndHighlight(text, matches, extraRanges) {
+    if (!text) {
+      return text;
+    }
+    const plain = decodeHTML(text);
+    // ranges matched otherwise are offsets into the text as stored
+    if (plain !== text) {
+      extraRanges = null;
+      text = plain;
     }
-    return section(sectionTitle).append($searchItems);
+    return highlight(text, toRanges(findOccurrences(text, matches, extraRanges)), 0, text.length);
   }
 
-  function parseKeywords(keywords) {
-    return keywords
-      .split(' ')
-      .filter((keyword) => {
-        return !!keyword;
+  /**
+   * Preview a long text with snippets around its densest clusters of matches, joined with
+   * ellipses. A window scores by how many different keywords it holds, then by how many
+   * occurrences. `config.snippets` sets how many snippets (3) and `config.snippetLength`
+   * how long each one is (60 characters).
+   * @param Number            limit   Snippets to show instead of `config.snippets`
+   * @return String           Escaped HTML
+   */
+  function snippets(text, matches, limit) {
+    const count = limit || (config.snippets > 0 ? config.snippets : 3);
+    const length = config.snippetLength > 0 ? config.snippetLength : 60;
+    if (!text) {
+      return text;
+    }
+    text = decodeHTML(text);
+    const occurrences = findOccurrences(text, matches);
+    if (!occurrences.length) {
+      return Searchbox.escapeHTML(text.slice(0, count * length));
+    }
+    const ranges = toRanges(occurrences);
+    // move a window bound out of the highlighted range it would cut
+    const snap = (offset, side) => {
+      const range = ranges.find((r) => {
+        return r[0] < offset && offset < r[1];
+      });
+      return range ? range[side] : offset;
+    };
+
+    // windows starting a little before every occurrence, so that it is read in context
+    const context = Math.floor(length / 4);
+    const candidates = occurrences.map((occurrence, i) => {
+      const start = snap(Math.max(0, occurrence.start - context), 0);
+      const seen = {};
+      let hits = 0;
+      for (let j = i; j >= 0 && occurrences[j].start >= start; j--) {
+        seen[occurrences[j].match] = true;
+        hits++;
+      }
+      for (let j = i + 1; j < occurrences.length && occurrences[j].end <= start + length; j++) {
+        seen[occurrences[j].match] = true;
+        hits++;
+      }
+      return {
+        start,
+        end: snap(Math.min(text.length, start + length), 1),
+        keywords: Object.keys(seen).length,
+        hits,
+      };
+    });
+
+    const chosen = [];
+    candidates
+      .sort((a, b) => {
+        return b.keywords - a.keywords || b.hits - a.hits || a.start - b.start;
       })
-      .map((keyword) => {
-        return keyword.toLowerCase();
+      .forEach((candidate) => {
+        if (
+          chosen.length < count &&
+          chosen.every((other) => {
+            return candidate.end <= other.start || candidate.start >= other.end;
+          })
+        ) {
+          chosen.push(candidate);
+        }
       });
+
+    return chosen
+      .sort((a, b) => {
+        return a.start - b.start;
+      })
+      .map((candidate, i) => {
+        const snippet = highlight(text, ranges, candidate.start, candidate.end);
+        return (
+          (i === 0 && candidate.start > 0 ? '…' : '') +
+          snippet +
+          (candidate.end < text.length ? '…' : '')
+        );
+      })
+      .join(' ');
   }
 
   /**
-   * Judge if a given post/page/category/tag contains all of the keywords.
-   * @param Object            obj     Object to be weighted
-   * @param Array<String>     fields  Object's fields to find matches
+   * Load the inverted index, see indexUrl().
+   * Resolves to null, and the search falls back to scanning content.json,
+   * if the index can't be loaded or was built from another content.json.
    */
-  function filter(keywords, obj, fields) {
-    const keywordArray = parseKeywords(keywords);
-    const containKeywords = keywordArray.filter((keyword) => {
-      const containFields = fields.filter((field) => {
-        if (!Object.prototype.hasOwnProperty.call(obj, field)) {
-          return false;
-        }
-        if (obj[field].toLowerCase().indexOf(keyword) > -1) {
-          return true;
+  function loadIndex(json) {
+    const fallback = $.Deferred().resolve(null);
+    const url = indexUrl();
+    if (!url) {
+      return fallback;
+    }
+    return $.getJSON(url).then(
+      (index) => {
+        if (!InsightIndex.isCompatible(index, json)) {
+          console.warn(url + ' was built from another content.json, scanning it instead');
+          return null;
         }
-        return false;
-      });
-      if (containFields.length > 0) {
-        return true;
-      }
-      return false;
-    });
-    return containKeywords.length === keywordArray.length;
+        return index;
+      },
+      () => fallback,
+    );
   }
 
-  function filterFactory(keywords) {
-    return {
-      post: function (obj) {
-        return filter(keywords, obj, ['title', 'text']);
-      },
-      page: function (obj) {
-        return filter(keywords, obj, ['title', 'text']);
+  function loadScript(url) {
+    return $.ajax({ url: url, dataType: 'script', cache: true });
+  }
+
+  /**
+   * Search on the page, taking and posting the same messages as js/insight-worker.js.
+   * Used when Web Workers are unavailable, disabled with `config.worker: false`,
+   * or the worker fails to start.
+   */
+  function localSearcher(onMessage) {
+    let searcher = null;
+    let results = { id: null, sections: {} };
+    // The latest search posted before content.json and the index were loaded
+    let pending = null;
+    $.when(
+      $.getJSON(config.contentUrl),
+      loadScript(config.searchScriptUrl || '/js/insight-search.js'),
+    ).then(
+      (contentResponse) => {
+        const json = contentResponse[0];
+        loadIndex(json).then((index) => {
+          searcher = InsightSearch.create(json, index, { fuzzy: config.fuzzy });
+          onMessage({ type: 'ready', popular: searcher.popular() });
+          if (pending) {
+            handle.post(pending);
+            pending = null;
+          }
+        });
       },
-      category: function (obj) {
-        return filter(keywords, obj, ['name', 'slug']);
+      () => {
+        onMessage({ type: 'error', message: 'Failed to load ' + config.contentUrl });
       },
-      tag: function (obj) {
-        return filter(keywords, obj, ['name', 'slug']);
+    );
+
+    function send(id, section, offset, limit) {
+      const items = results.sections[section];
+      onMessage({
+        type: 'partial',
+        id,
+        section,
+        items: items.slice(offset, offset + limit),
+        offset,
+        total: items.length,
+      });
+    }
+
+    const handle = {
+      post: function (data) {
+        if (!searcher) {
+          // e.g. posted by workerSearcher() right after the worker failed
+          if (data.type === 'search') {
+            pending = data;
+          }
+          return;
+        }
+        switch (data.type) {
+          case 'search':
+            results = { id: data.id, sections: {} };
+            onMessage({ type: 'start', id: data.id, suggestion: searcher.suggest(data.keywords) });
+            searcher.types.forEach((type) => {
+              results.sections[type] = searcher.search(data.keywords, type);
+              send(data.id, type, 0, data.limits[type]);
+            });
+            const found = searcher.types.some((type) => {
+              return results.sections[type].length > 0;
+            });
+            onMessage({
+              type: 'done',
+              id: data.id,
+              closest: found ? null : searcher.closest(data.keywords),
+            });
+            break;
+          case 'more':
+            if (results.id === data.id && results.sections[data.section]) {
+              send(data.id, data.section, data.offset, data.limit);
+            }
+            break;
+        }
       },
     };
+    return handle;
   }
 
   /**
-   * Calculate the weight of a matched post/page/category/tag.
-   * @param Object            obj     Object to be weighted
-   * @param Array<String>     fields  Object's fields to find matches
-   * @param Array<Integer>    weights Weight of every field
+   * Run the search in js/insight-worker.js, which loads insight-index.js and insight-search.js
+   * from its own directory. See the worker for the message protocol.
    */
-  function weight(keywords, obj, fields, weights) {
-    let value = 0;
-    parseKeywords(keywords).forEach((keyword) => {
-      const pattern = new RegExp(keyword, 'img'); // Global, Multi-line, Case-insensitive
-      fields.forEach((field, index) => {
-        if (Object.prototype.hasOwnProperty.call(obj, field)) {
-          const matches = obj[field].match(pattern);
-          value += matches ? matches.length * weights[index] : 0;
-        }
-      });
+  function workerSearcher(onMessage) {
+    const url = (path) => {
+      return path ? new URL(path, location.href).href : null;
+    };
+    let ready = false;
+    let fallback;
+    let worker = new Worker(config.workerUrl || '/js/insight-worker.js');
+    worker.onmessage = (e) => {
+      ready = ready || e.data.type === 'ready';
+      onMessage(e.data);
+    };
+    worker.onerror = (e) => {
+      if (!ready) {
+        e.preventDefault();
+        worker.terminate();
+        worker = null;
+        fallback = localSearcher(onMessage);
+      }
+    };
+    worker.postMessage({
+      type: 'init',
+      contentUrl: url(config.contentUrl),
+      indexUrl: url(indexUrl()),
+      fuzzy: !!config.fuzzy,
     });
-    return value;
-  }
-
-  function weightFactory(keywords) {
     return {
-      post: function (obj) {
-        return weight(keywords, obj, ['title', 'text'], [3, 1]);
-      },
-      page: function (obj) {
-        return weight(keywords, obj, ['title', 'text'], [3, 1]);
-      },
-      category: function (obj) {
-        return weight(keywords, obj, ['name', 'slug'], [1, 1]);
-      },
-      tag: function (obj) {
-        return weight(keywords, obj, ['name', 'slug'], [1, 1]);
+      post: function (data) {
+        if (worker) {
+          worker.postMessage(data);
+        } else {
+          fallback.post(data);
+        }
       },
     };
   }
 
-  function search(json, keywords) {
-    const weights = weightFactory(keywords);
-    const filters = filterFactory(keywords);
-    const posts = json.posts;
-    const pages = json.pages;
-    const tags = json.tags;
-    const categories = json.categories;
-    return {
-      posts: posts
-        .filter(filters.post)
-        .sort((a, b) => {
-          return weights.post(b) - weights.post(a);
-        })
-        .slice(0, 5),
-      pages: pages
-        .filter(filters.page)
-        .sort((a, b) => {
-          return weights.page(b) - weights.page(a);
-        })
-        .slice(0, 5),
-      categories: categories
-        .filter(filters.category)
-        .sort((a, b) => {
-          return weights.category(b) - weights.category(a);
-        })
-        .slice(0, 5),
-      tags: tags
-        .filter(filters.tag)
-        .sort((a, b) => {
-          return weights.tag(b) - weights.tag(a);
-        })
-        .slice(0, 5),
-    };
+  /**
+   * Read the query held by the URL parameters, e.g. #insight-search?q=nginx&tag=linux
+   * opens the search box with "nginx tag:linux".
+   */
+  function fromParams(params) {
+    const keywords = [params.get('q') || ''];
+    URL_FILTERS.forEach((field) => {
+      params.getAll(field).forEach((value) => {
+        keywords.push(field + ':' + (/\s/.test(value) ? '"' + value + '"' : value));
+      });
+    });
+    return keywords.join(' ').trim();
   }
 
-  function searchResultToDOM(keywords, searchResult) {
-    $container.empty();
-    for (const key in searchResult) {
-      $container.append(
-        sectionFactory(parseKeywords(keywords), key.toUpperCase(), searchResult[key]),
-      );
+  function toParams(keywords, params) {
+    const filters = [];
+    const text = keywords
+      .replace(URL_FILTER_PATTERN, (match, space, field, value) => {
+        filters.push([field.toLowerCase(), value.replace(/^"|"$/g, '')]);
+        return space;
+      })
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (text) {
+      params.append('q', text);
     }
+    filters.forEach((filter) => {
+      params.append(filter[0], filter[1]);
+    });
   }
 
-  function scrollTo($item) {
-    if ($item.length === 0) return;
-    const wrapperHeight = $container[0].clientHeight;
-    const itemTop = $item.position().top - $container.scrollTop();
-    const itemBottom = $item[0].clientHeight + $item.position().top;
-    if (itemBottom > wrapperHeight + $container.scrollTop()) {
-      $container.scrollTop(itemBottom - $container[0].clientHeight);
-    }
-    if (itemTop < 0) {
-      $container.scrollTop($item.position().top);
+  const ICONS = { posts: 'file', pages: 'file', categories: 'folder', tags: 'tag' };
+
+  function toItem(type, doc) {
+    if (type === 'posts' || type === 'pages') {
+      return {
+        icon: ICONS[type],
+        title: doc.title,
+        preview: doc.text,
+        url: doc.link,
+        pinyin: doc.pinyin,
+      };
     }
+    return {
+      icon: ICONS[type],
+      title: doc.name,
+      subtitle: doc.slug,
+      url: doc.link,
+      pinyin: doc.pinyin,
+    };
   }
 
-  function selectItemByDiff(value) {
-    const $items = $.makeArray($container.find('.searchbox-result-item'));
-    let prevPosition = -1;
-    $items.forEach((item, index) => {
-      if ($(item).hasClass('active')) {
-        prevPosition = index;
+  /**
+   * Sections of a post or page matching the keywords by their heading or the text under it,
+   * as sub-results linking to the heading. `config.sections` caps them per result (3).
+   */
+  function sectionItems(doc, keywords) {
+    const headings = doc.headings || [];
+    const limit = config.sections >= 0 ? config.sections : 3;
+    const text = doc.text || '';
+    const items = [];
+    headings.forEach((heading, i) => {
+      if (items.length >= limit) return;
+      const next = headings.slice(i + 1).find((other) => other.offset !== null);
+      const body =
+        heading.offset !== null
+          ? text.slice(heading.offset + heading.title.length, next ? next.offset : text.length)
+          : '';
+      if (findOccurrences(decodeHTML(heading.title + ' ' + body), keywords).length) {
+        items.push({
+          sub: true,
+          icon: 'hashtag',
+          title: heading.title,
+          preview: body,
+          url: doc.link + '#' + heading.id,
+        });
       }
     });
-    const nextPosition = ($items.length + prevPosition + value) % $items.length;
-    $($items[prevPosition]).removeClass('active');
-    $($items[nextPosition]).addClass('active');
-    scrollTo($($items[nextPosition]));
+    return items;
   }
 
-  function gotoLink($item) {
-    if ($item && $item.length) {
-      location.href = $item.attr('href');
-    }
+  /**
+   * Terms to highlight for the keywords of some results, and what typos were corrected to.
+   */
+  function highlightTerms(results) {
+    return InsightIndex.highlightTerms(
+      InsightIndex.queryText(
+        InsightIndex.parseQuery(
+          results.suggestion ? results.keywords + ' ' + results.suggestion : results.keywords,
+        ),
+      ),
+    );
   }
 
-  $.getJSON(config.contentUrl, (json) => {
-    if (location.hash.trim() === '#insight-search') {
-      $main.addClass('show');
+  // The latest search, whose messages are output; those of older searches are dropped
+  let latest = { id: 0, results: null };
+  let engine = null;
+  let popular = {};
+  const ready = $.Deferred();
+
+  function onSearchMessage(data) {
+    if (data.type === 'ready') {
+      popular = data.popular || {};
+      ready.resolve();
+      return;
     }
-    $input.on('input', function () {
-      const keywords = $(this).val();
-      searchResultToDOM(keywords, search(json, keywords));
-    });
-    $input.trigger('input');
+    if (data.type === 'error') {
+      ready.reject(new Error(data.message));
+      return;
+    }
+    const results = latest.results;
+    if (data.id !== latest.id || !results || results.stale) {
+      return;
+    }
+    switch (data.type) {
+      case 'start':
+        results.suggest(data.suggestion);
+        break;
+      case 'partial': {
+        const keywords = highlightTerms(results);
+        const items = [].concat(
+          ...data.items.map((doc) => {
+            return [toItem(data.section, doc)].concat(sectionItems(doc, keywords));
+          }),
+        );
+        if (data.offset) {
+          results.append(data.section, items, { total: data.total });
+        } else {
+          results.section(data.section, {
+            title: translation[data.section],
+            items,
+            total: data.total,
+          });
+        }
+        break;
+      }
+      case 'done':
+        if (data.closest && data.closest.length) {
+          results.section('closest', {
+            title: translation.closest || 'No results, closest matches',
+            items: data.closest.map((item) => {
+              return { icon: ICONS[item.type], title: item.name, url: item.link };
+            }),
+          });
+        } else if (data.closest) {
+          results.notice(translation.no_results || 'No results');
+        }
+        results.done();
+        break;
+    }
+  }
+
+  const provider = {
+    hash: '#insight-search',
+
+    fromParams,
+
+    toParams,
+
+    // The tokenizer is shared with the index, so it is needed by both search modes
+    init: function () {
+      loadScript(config.indexScriptUrl || '/js/insight-index.js').then(() => {
+        engine =
+          window.Worker && config.worker !== false
+            ? workerSearcher(onSearchMessage)
+            : localSearcher(onSearchMessage);
+      }, ready.reject);
+      return ready.promise();
+    },
+
+    query: function (keywords, results) {
+      const limits = {};
+      ['posts', 'pages', 'categories', 'tags'].forEach((type) => {
+        limits[type] = limitOf(type);
+      });
+      engine.post({ type: 'cancel', id: latest.id });
+      latest = { id: latest.id + 1, results };
+      engine.post({ type: 'search', id: latest.id, keywords, limits });
+    },
+
+    paginate: function (type, offset, results) {
+      if (results !== latest.results) return;
+      engine.post({ type: 'more', id: latest.id, section: type, offset, limit: limitOf(type) });
+    },
+
+    /**
+     * Highlight the keywords, and what typos were corrected to, in a title, name or slug,
+     * and cut the text of posts and pages into snippets, a single one for their sections.
+     */
+    highlight: function (item, results) {
+      const keywords = highlightTerms(results);
+      return {
+        title: findAndHighlight(
+          item.title,
+          keywords,
+          InsightIndex.pinyinRanges(item.pinyin, keywords),
+        ),
+        subtitle: findAndHighlight(item.subtitle, keywords),
+        preview: snippets(item.preview, keywords, item.sub ? 1 : 0),
+      };
+    },
+
+    /**
+     * The tags and categories with the most posts.
+     */
+    empty: function (results) {
+      ['tags', 'categories'].forEach((type) => {
+        results.section(type, {
+          title: translation[type],
+          items: (popular[type] || []).map((item) => {
+            return {
+              icon: ICONS[type],
+              title: item.name,
+              subtitle: String(item.count),
+              url: item.link,
+            };
+          }),
+        });
+      });
+      results.done();
+    },
+  };
+
+  return provider;
+}
+
+// eslint-disable-next-line no-unused-vars
+function loadInsight(config, translation) {
+  $.ajax({
+    url: config.searchboxScriptUrl || '/js/searchbox.js',
+    dataType: 'script',
+    cache: true,
+  }).then(() => {
+    Searchbox.register('insight', insightProvider);
+    Searchbox.start('insight', config, translation);
   });
+}
 
-  let touch = false;
-  $(document)
-    .on('click focus', '.navbar-main .search', () => {
-      $main.addClass('show');
-      $main.find('.searchbox-input').focus();
-    })
-    .on('click touchend', '.searchbox-result-item', function (e) {
-      if (e.type !== 'click' && !touch) {
-        return;
-      }
-      gotoLink($(this));
-      touch = false;
-    })
-    .on('click touchend', '.searchbox-close', (e) => {
-      if (e.type !== 'click' && !touch) {
-        return;
-      }
-      $('.navbar-main').css('pointer-events', 'none');
-      setTimeout(() => {
-        $('.navbar-main').css('pointer-events', 'auto');
-      }, 400);
-      $main.removeClass('show');
-      touch = false;
-    })
-    .on('keydown', (e) => {
-      if (!$main.hasClass('show')) return;
-      switch (e.keyCode) {
-        case 27: // ESC
-          $main.removeClass('show');
-          break;
-        case 38: // UP
-          selectItemByDiff(-1);
-          break;
-        case 40: // DOWN
-          selectItemByDiff(1);
-          break;
-        case 13: // ENTER
-          gotoLink($container.find('.searchbox-result-item.active').eq(0));
-          break;
-      }
-    })
-    .on('touchstart', (e) => {
-      touch = true;
-    })
-    .on('touchmove', (e) => {
-      touch = false;
-    });
+// Loaded by the search box to fall back from a hosted provider
+if (window.Searchbox) {
+  Searchbox.register('insight', insightProvider);
 }
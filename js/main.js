@@ -1,4 +1,19 @@
 /* eslint-disable node/no-unsupported-features/node-builtins */
+// The copy buttons of code blocks, destroyed when pjax loads another page
+let codeClipboard = null;
+// The copy link buttons of headings, likewise
+let headingClipboard = null;
+
+// File extensions of the highlighted languages whose name isn't one
+const CODE_EXTENSIONS = {
+    bash: 'sh', shell: 'sh', zsh: 'sh', console: 'sh', javascript: 'js', typescript: 'ts',
+    python: 'py', ruby: 'rb', markdown: 'md', yaml: 'yml', csharp: 'cs', 'c++': 'cpp',
+    kotlin: 'kt', rust: 'rs', golang: 'go', perl: 'pl', powershell: 'ps1'
+};
+
+// The language last chosen in the tabs of code groups
+const CODE_GROUP_KEY = 'code-group-language';
+
 function loadMainJs($, moment, ClipboardJS, config) {
     $('.article img:not(".not-gallery-item")').each(function () {
         // wrap images with link and add caption if possible
@@ -56,6 +71,193 @@ function loadMainJs($, moment, ClipboardJS, config) {
         return '<span class="fold">' + (fold === 'unfolded' ? '<i class="fas fa-angle-down"></i>' : '<i class="fas fa-angle-right"></i>') + '</span>';
     }
 
+    // "bash" for <figure class="highlight bash">, null for plain text
+    function codeLanguage(codeBlock) {
+        const language = codeBlock.className.replace(/\b(highlight|hljs|folded|no-line-numbers)\b/g, '').trim().split(/\s+/)[0];
+        return language && !/^(plain|plaintext|text|txt)$/.test(language) ? language : null;
+    }
+
+    // "3,5-7" -> [3, 5, 6, 7]
+    function parseLineRanges(text) {
+        const lines = [];
+        text.split(',').forEach((range) => {
+            const bounds = range.split('-').map((bound) => parseInt(bound, 10));
+            const end = bounds.length > 1 ? bounds[1] : bounds[0];
+            for (let line = bounds[0]; line <= end; line++) {
+                lines.push(line);
+            }
+        });
+        return lines;
+    }
+
+    // index of a line in a code block, by the numbers of its gutter that may not start at 1
+    function lineIndex($codeBlock, number) {
+        const first = parseInt($codeBlock.find('.gutter .line').first().text(), 10);
+        return number - (isNaN(first) ? 1 : first);
+    }
+
+    /**
+     * The text of a code block, line by line, without the numbers of the gutter. Only the
+     * "after" version of a diff is returned, unless `raw` is set.
+     */
+    function codeLines(codeBlock, raw) {
+        return $(codeBlock).find('.code .line').filter(function () {
+            return raw || !$(this).is('.diff-removed, .diff-hunk, .diff-header');
+        }).map(function () {
+            return (raw && $(this).attr('data-sign') || '') + $(this).text();
+        }).get();
+    }
+
+    function removeFirstChar(element) {
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            if (node.nodeValue) {
+                node.nodeValue = node.nodeValue.slice(1);
+                return;
+            }
+        }
+    }
+
+    // mark the added and removed lines of a diff code block, moving their sign into a gutter
+    function renderDiff(codeBlock) {
+        $(codeBlock).find('.code .line').each(function () {
+            const text = $(this).text();
+            if (/^(\+\+\+|---)( |$)|^(diff|index) /.test(text)) {
+                $(this).addClass('diff-header');
+            } else if (text.indexOf('@@') === 0) {
+                $(this).addClass('diff-hunk');
+            } else if (/^[+\- ]/.test(text)) {
+                const sign = text.charAt(0);
+                $(this).attr('data-sign', sign);
+                removeFirstChar(this);
+                if (sign !== ' ') {
+                    $(this).addClass(sign === '+' ? 'diff-added' : 'diff-removed');
+                }
+            }
+        });
+    }
+
+    // side-by-side view of a diff code block, the removed lines facing the added ones
+    function splitDiff(codeBlock) {
+        const rows = [];
+        let removed = [];
+        let added = [];
+        let oldLine = 1;
+        let newLine = 1;
+        const cell = (line, number) => {
+            if (!line) {
+                return '<td class="diff-number"></td><td class="diff-empty"></td>';
+            }
+            return '<td class="diff-number">' + number + '</td><td class="' + line.className + '" data-sign="' + ($(line).attr('data-sign') || '') + '">' + line.innerHTML + '</td>';
+        };
+        const flush = () => {
+            for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+                rows.push('<tr>' + cell(removed[i], removed[i] && oldLine++) + cell(added[i], added[i] && newLine++) + '</tr>');
+            }
+            removed = [];
+            added = [];
+        };
+        $(codeBlock).find('.code .line').each(function () {
+            if ($(this).hasClass('diff-removed')) {
+                removed.push(this);
+            } else if ($(this).hasClass('diff-added')) {
+                added.push(this);
+            } else {
+                flush();
+                if ($(this).is('.diff-hunk, .diff-header')) {
+                    const hunk = /^@@ -(\d+)(?:,\d+)? \+(\d+)/.exec($(this).text());
+                    if (hunk) {
+                        oldLine = parseInt(hunk[1], 10);
+                        newLine = parseInt(hunk[2], 10);
+                    }
+                    rows.push('<tr><td colspan="4" class="' + this.className + '">' + this.innerHTML + '</td></tr>');
+                } else {
+                    rows.push('<tr>' + cell(this, oldLine++) + cell(this, newLine++) + '</tr>');
+                }
+            }
+        });
+        flush();
+        return $('<div class="diff-split"><table>' + rows.join('') + '</table></div>');
+    }
+
+    /**
+     * The commands of a shell or Python REPL session, without their `$ ` and `>>> `/`... `
+     * prompts and without the output lines between them; empty if nothing has a prompt.
+     */
+    function stripPrompts(lines) {
+        const prompt = /^\s*(\$|>>>|\.\.\.)( |$)/;
+        if (!lines.some((line) => /^\s*(\$|>>>)( |$)/.test(line))) {
+            return [];
+        }
+        return lines.filter((line) => prompt.test(line)).map((line) => line.replace(prompt, ''));
+    }
+
+    function markdownFence(codeBlock) {
+        const lines = codeLines(codeBlock, true);
+        // a fence longer than any run of backticks in the code
+        const longest = Math.max(2, ...lines.map((line) => {
+            return Math.max(0, ...(line.match(/`+/g) || []).map((run) => run.length));
+        }));
+        const fence = '`'.repeat(longest + 1);
+        return fence + (codeLanguage(codeBlock) || '') + '\n' + lines.join('\n') + '\n' + fence;
+    }
+
+    // save a code block as a file, named by its caption if that is a file name
+    function downloadCode(codeBlock) {
+        const caption = $(codeBlock).find('figcaption div.level-left > span:not(.fold)').first().text().trim();
+        const language = codeLanguage(codeBlock);
+        const name = /^[\w.-]+\.\w+$/.test(caption)
+            ? caption
+            : codeBlock.id + '.' + (CODE_EXTENSIONS[language] || language || 'txt');
+        // a diff is saved whole, to be applied as a patch
+        const lines = codeLines(codeBlock, $(codeBlock).hasClass('diff'));
+        const url = URL.createObjectURL(new Blob([lines.join('\n') + '\n'], {type: 'text/plain'}));
+        const $link = $('<a>').attr({href: url, download: name}).appendTo('body');
+        $link[0].click();
+        $link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    function codeGroupKey(codeBlock) {
+        return codeLanguage(codeBlock) || $(codeBlock).attr('data-group');
+    }
+
+    function preferredLanguage() {
+        try {
+            return localStorage.getItem(CODE_GROUP_KEY);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function selectCodeTab($group, index) {
+        $group.find('> .tabs li').removeClass('is-active').eq(index).addClass('is-active');
+        $group.children('figure.highlight').removeClass('is-active').eq(index).addClass('is-active');
+    }
+
+    // scroll to the line of a code block linked to, e.g. #code-2-L14, and highlight it
+    function targetCodeLine() {
+        const match = /^#(code-\d+)-L(\d+)$/.exec(location.hash);
+        const $codeBlock = match ? $('figure.highlight#' + match[1]) : $();
+        $('figure.highlight .line.is-targeted').removeClass('is-targeted');
+        if (!$codeBlock.length) {
+            return;
+        }
+        const index = lineIndex($codeBlock, parseInt(match[2], 10));
+        const $line = $codeBlock.find('.code .line').eq(index);
+        if (index < 0 || !$line.length) {
+            return;
+        }
+        if ($codeBlock.parent().hasClass('code-group')) {
+            selectCodeTab($codeBlock.parent(), $codeBlock.parent().children('figure.highlight').index($codeBlock));
+        }
+        if ($codeBlock.hasClass('folded')) {
+            toggleFold($codeBlock, false);
+        }
+        $line.add($codeBlock.find('.gutter .line').eq(index)).addClass('is-targeted');
+        window.scrollTo(0, $line.offset().top - $('.navbar-main').outerHeight() - 16);
+    }
+
     $('figure.highlight table').wrap('<div class="highlight-body">');
     if (typeof config !== 'undefined'
         && typeof config.article !== 'undefined'
@@ -73,8 +275,18 @@ function loadMainJs($, moment, ClipboardJS, config) {
 
         const clipboard = config.article.highlight.clipboard;
         const fold = config.article.highlight.fold.trim();
+        const badge = config.article.highlight.language !== false;
+        const download = config.article.highlight.download !== false;
+
+        // stable ids, that copy buttons and links to a line like #code-2-L14 refer to
+        $('figure.highlight').each(function (i) {
+            if (!this.id) {
+                $(this).attr('id', 'code-' + (i + 1));
+            }
+        });
 
         $('figure.highlight').each(function () {
+            const language = codeLanguage(this);
             if ($(this).find('figcaption').length) {
                 $(this).find('figcaption').addClass('level is-mobile');
                 $(this).find('figcaption').append('<div class="level-left">');
@@ -82,20 +294,145 @@ function loadMainJs($, moment, ClipboardJS, config) {
                 $(this).find('figcaption div.level-left').append($(this).find('figcaption').find('span'));
                 $(this).find('figcaption div.level-right').append($(this).find('figcaption').find('a'));
             } else {
-                if (clipboard || fold) {
+                if (clipboard || fold || download || (badge && language)) {
                     $(this).prepend('<figcaption class="level is-mobile"><div class="level-left"></div><div class="level-right"></div></figcaption>');
                 }
             }
+
+            // lines to highlight, given in the caption like ```js {3,5-7}, and groups of
+            // consecutive blocks shown as tabs, marked like ```python Python >group
+            const $caption = $(this).find('figcaption div.level-left > span').first();
+            const ranges = /\{([\d\s,-]+)\}/.exec($caption.text());
+            const grouped = />group\b/.test($caption.text());
+            if (ranges || grouped) {
+                const text = $caption.text().replace(ranges ? ranges[0] : '', '').replace(/>group\b/, '').trim();
+                text ? $caption.text(text) : $caption.remove();
+                if (grouped) {
+                    $(this).attr('data-group', text || language || 'code');
+                }
+            }
+            if (ranges) {
+                const $lines = $(this).find('.code .line');
+                parseLineRanges(ranges[1]).forEach((number) => {
+                    const index = lineIndex($(this), number);
+                    // eq() counts negative indices from the end
+                    if (index >= 0) {
+                        $lines.eq(index).addClass('is-highlighted');
+                    }
+                });
+            }
+
+            if (badge && language) {
+                $(this).find('figcaption div.level-right').prepend($('<span class="code-language">').text(language));
+            }
+            if ($(this).find('.gutter').length) {
+                $(this).find('figcaption div.level-right').append('<a href="javascript:;" class="line-numbers" title="Line numbers"><i class="fas fa-list-ol"></i></a>');
+            }
+        });
+
+        $('figure.highlight[data-group]').each(function () {
+            if ($(this).parent().hasClass('code-group')) {
+                return;
+            }
+            const figures = [this];
+            for (let next = this.nextElementSibling; $(next).is('figure.highlight[data-group]'); next = next.nextElementSibling) {
+                figures.push(next);
+            }
+            if (figures.length < 2) {
+                return;
+            }
+            const $group = $('<div class="code-group">').insertBefore(this);
+            const $tabs = $('<div class="tabs is-small"><ul></ul></div>').appendTo($group);
+            figures.forEach((figure) => {
+                $('<li>').append($('<a href="javascript:;">').text($(figure).attr('data-group'))).appendTo($tabs.find('ul'));
+            });
+            $group.append(figures);
+            const index = figures.map(codeGroupKey).indexOf(preferredLanguage());
+            selectCodeTab($group, Math.max(index, 0));
+        });
+
+        // switch every group of the page to the language chosen, and remember it
+        $('.code-group > .tabs li').click(function () {
+            const $group = $(this).closest('.code-group');
+            const key = codeGroupKey($group.children('figure.highlight')[$(this).index()]);
+            const top = this.getBoundingClientRect().top;
+            try {
+                localStorage.setItem(CODE_GROUP_KEY, key);
+            } catch (e) {}
+            $('.code-group').each(function () {
+                const index = $(this).children('figure.highlight').get().map(codeGroupKey).indexOf(key);
+                if (index >= 0) {
+                    selectCodeTab($(this), index);
+                }
+            });
+            // keep the tab clicked in place while groups above change height
+            window.scrollBy(0, this.getBoundingClientRect().top - top);
+        });
+
+        $('figure.highlight figcaption .line-numbers').click(function () {
+            $(this).closest('figure.highlight').toggleClass('no-line-numbers');
+        });
+
+        // link to a line by clicking its number
+        $('figure.highlight .gutter .line').click(function () {
+            const $figure = $(this).closest('figure.highlight');
+            const hash = '#' + $figure.attr('id') + '-L' + $(this).text().trim();
+            history.replaceState(history.state, '', hash);
+            targetCodeLine();
+        });
+
+        $('figure.highlight.diff').each(function () {
+            renderDiff(this);
+            $(this).find('figcaption div.level-right').append('<a href="javascript:;" class="diff-view" title="Side by side"><i class="fas fa-columns"></i></a>');
+        });
+
+        $('figure.highlight figcaption .diff-view').click(function () {
+            const $codeBlock = $(this).closest('figure.highlight');
+            if (!$codeBlock.find('.diff-split').length) {
+                $codeBlock.find('.highlight-body').append(splitDiff($codeBlock[0]));
+            }
+            $codeBlock.toggleClass('is-split');
+            $(this).attr('title', $codeBlock.hasClass('is-split') ? 'Unified' : 'Side by side');
         });
 
         if (typeof ClipboardJS !== 'undefined' && clipboard) {
             $('figure.highlight').each(function () {
-                const id = 'code-' + Date.now() + (Math.random() * 1000 | 0);
-                const button = '<a href="javascript:;" class="copy" title="Copy" data-clipboard-target="#' + id + ' .code"><i class="fas fa-copy"></i></a>';
-                $(this).attr('id', id);
-                $(this).find('figcaption div.level-right').append(button);
+                const $buttons = $(this).find('figcaption div.level-right');
+                $buttons.append('<a href="javascript:;" class="copy" title="Copy"><i class="fas fa-copy"></i></a>');
+                if (stripPrompts(codeLines(this)).length) {
+                    $buttons.append('<a href="javascript:;" class="copy copy-commands" title="Copy without prompts"><i class="fas fa-terminal"></i></a>');
+                }
+                $buttons.append('<a href="javascript:;" class="copy copy-markdown" title="Copy as Markdown"><i class="fab fa-markdown"></i></a>');
+            });
+            if (codeClipboard) {
+                codeClipboard.destroy();
+            }
+            codeClipboard = new ClipboardJS('.highlight .copy', {
+                text: (trigger) => {
+                    const codeBlock = $(trigger).closest('figure.highlight')[0];
+                    if ($(trigger).hasClass('copy-commands')) {
+                        return stripPrompts(codeLines(codeBlock)).join('\n');
+                    }
+                    if ($(trigger).hasClass('copy-markdown')) {
+                        return markdownFence(codeBlock);
+                    }
+                    return codeLines(codeBlock).join('\n');
+                }
+            });
+            codeClipboard.on('success', (e) => {
+                e.clearSelection();
+                showToast('Copied');
+            });
+            codeClipboard.on('error', () => {
+                showToast('Copy failed, press Ctrl+C to copy', 'is-danger');
+            });
+        }
+
+        if (download) {
+            $('figure.highlight figcaption div.level-right').append('<a href="javascript:;" class="download" title="Download"><i class="fas fa-download"></i></a>');
+            $('figure.highlight figcaption .download').click(function () {
+                downloadCode($(this).closest('figure.highlight')[0]);
             });
-            new ClipboardJS('.highlight .copy'); // eslint-disable-line no-new
         }
 
         if (fold) {
@@ -120,32 +457,366 @@ function loadMainJs($, moment, ClipboardJS, config) {
         }
     }
 
+    // the TOC is a drawer on mobile, swiped in from the right edge, and folds on desktop
     const $toc = $('#toc');
+    $('#toc-mask').remove();
+    $(document).off('.toc');
     if ($toc.length > 0) {
         const $mask = $('<div>');
         $mask.attr('id', 'toc-mask');
 
         $('body').append($mask);
 
+        const isDrawer = () => window.matchMedia('(max-width: 768px)').matches;
+        // The element focused before the drawer opened, focused again when it closes
+        let $opener = null;
+
+        function openToc(open) { // eslint-disable-line no-inner-declarations
+            if (open === $toc.hasClass('is-active')) {
+                return;
+            }
+            $toc.toggleClass('is-active', open);
+            $mask.toggleClass('is-active', open);
+            if (open) {
+                $opener = $(document.activeElement);
+                $toc.attr({role: 'dialog', 'aria-modal': 'true', tabindex: '-1'});
+                const $active = $toc.find('.menu-list a.is-active').last();
+                ($active.length ? $active : $toc).trigger('focus');
+            } else {
+                $toc.removeAttr('role aria-modal');
+                if ($opener) {
+                    $opener.trigger('focus');
+                    $opener = null;
+                }
+            }
+        }
+
         function toggleToc() { // eslint-disable-line no-inner-declarations
-            $toc.toggleClass('is-active');
-            $mask.toggleClass('is-active');
+            if (isDrawer()) {
+                openToc(!$toc.hasClass('is-active'));
+            } else {
+                $toc.toggleClass('is-folded');
+            }
+        }
+
+        // next and previous section, through the headings of js/toc.js
+        const $nav = $('<div class="toc-nav buttons has-addons is-centered">')
+            .append('<button class="button is-small" data-step="-1"><i class="fas fa-chevron-up"></i>&nbsp;上一节</button>')
+            .append('<button class="button is-small" data-step="1">下一节&nbsp;<i class="fas fa-chevron-down"></i></button>')
+            .appendTo($toc);
+        $nav.on('click', 'button', function () {
+            if (!window.Toc) {
+                return;
+            }
+            const heading = $(this).data('step') > 0 ? Toc.next() : Toc.previous(); // eslint-disable-line no-undef
+            if (heading) {
+                openToc(false);
+            }
+        });
+
+        $toc.on('click', '.menu-list a', () => openToc(false));
+        $mask.on('click', () => openToc(false));
+        $('.navbar-main .catalogue').off('click.toc').on('click.toc', toggleToc);
+
+        // keep the focus in the drawer while it's open
+        $toc.on('keydown', (event) => {
+            if (!$toc.hasClass('is-active')) {
+                return;
+            }
+            if (event.key === 'Escape') {
+                openToc(false);
+                return;
+            }
+            const $focusable = $toc.find('a[href], button, [tabindex="0"]').filter(':visible');
+            if (event.key !== 'Tab' || !$focusable.length) {
+                return;
+            }
+            const first = $focusable[0];
+            const last = $focusable[$focusable.length - 1];
+            if (event.shiftKey && (document.activeElement === first || document.activeElement === $toc[0])) {
+                event.preventDefault();
+                last.focus();
+            } else if (!event.shiftKey && document.activeElement === last) {
+                event.preventDefault();
+                first.focus();
+            }
+        });
+        $(document).on('focusin.toc', (event) => {
+            if ($toc.hasClass('is-active') && !$toc[0].contains(event.target)) {
+                $toc.trigger('focus');
+            }
+        });
+
+        // swipe left from the right edge to open the drawer, and right to close it
+        let touch = null;
+        $(document).on('touchstart.toc', (event) => {
+            const point = event.originalEvent.touches[0];
+            const open = $toc.hasClass('is-active');
+            touch = isDrawer() && (open || point.clientX > window.innerWidth - 24)
+                ? {x: point.clientX, y: point.clientY} : null;
+        }).on('touchend.toc', (event) => {
+            if (!touch) {
+                return;
+            }
+            const point = event.originalEvent.changedTouches[0];
+            const dx = point.clientX - touch.x;
+            const dy = point.clientY - touch.y;
+            touch = null;
+            if (Math.abs(dx) > 50 && Math.abs(dx) > Math.abs(dy)) {
+                openToc(dx < 0);
+            }
+        });
+
+        // ] and [ move to the next and previous heading, t toggles the TOC
+        $(document).on('keydown.toc', (event) => {
+            const target = event.target;
+            if (event.ctrlKey || event.metaKey || event.altKey
+                || $(target).is('input, textarea, select') || target.isContentEditable) {
+                return;
+            }
+            if (event.key === 't') {
+                toggleToc();
+            } else if (event.key === ']' && window.Toc) {
+                Toc.next(); // eslint-disable-line no-undef
+            } else if (event.key === '[' && window.Toc) {
+                Toc.previous(); // eslint-disable-line no-undef
+            } else {
+                return;
+            }
+            event.preventDefault();
+        });
+    }
+
+    // Room above a heading scrolled to: the 1em toc.js leaves, below the fixed navbar
+    const headingMargin = `calc(${$('.navbar-main.is-fixed-top').outerHeight() || 0}px + 1em)`;
+
+    /**
+     * Give every heading of the articles an id, numbering repeated ones like hexo does, and
+     * point the TOC entries of renamed headings at their new id.
+     */
+    function fixHeadingIds() {
+        const counts = {};
+        const $tocLinks = $('#toc .menu-list a');
+        $('.article .content').find('h1, h2, h3, h4, h5, h6').each(function () {
+            const original = this.id;
+            const base = original || $(this).text().trim()
+                .replace(/[\s~`!@#$%^&*()\-_+=[\]{}|\\;:"'<>,.?/]+/g, '-').replace(/^-+|-+$/g, '');
+            if (!base) {
+                return;
+            }
+            let id = base;
+            if (base in counts) {
+                do {
+                    id = base + '-' + ++counts[base];
+                } while (document.getElementById(id));
+            } else {
+                counts[base] = 0;
+            }
+            this.id = id;
+            this.style.scrollMargin = headingMargin;
+            if (original && id !== original) {
+                // the TOC links every repeated heading to the first one, the entries of the
+                // previous ones were renamed already
+                const $link = $tocLinks.filter(function () {
+                    return ($(this).attr('data-href') || $(this).attr('href')) === '#' + original;
+                }).eq(1);
+                $link.attr($link.attr('data-href') ? 'data-href' : 'href', '#' + id);
+            }
+        });
+    }
+
+    fixHeadingIds();
+
+    // a link icon on every heading, copying the URL of its section
+    $('.article .content').find('h1, h2, h3, h4, h5, h6').each(function () {
+        if (!this.id) {
+            return;
+        }
+        const $anchor = $(this).children('a.headerlink');
+        ($anchor.length ? $anchor : $('<a class="headerlink">').prependTo(this))
+            .addClass('heading-anchor')
+            .attr({href: '#' + this.id, title: 'Copy link', 'aria-label': 'Copy link'})
+            .html('<i class="fas fa-link"></i>');
+    });
+    $('.article .content .heading-anchor').click(function (event) {
+        event.preventDefault();
+        history.replaceState(history.state, '', $(this).attr('href'));
+        flashHeading();
+    });
+    if (headingClipboard) {
+        headingClipboard.destroy();
+        headingClipboard = null;
+    }
+    if (typeof ClipboardJS !== 'undefined') {
+        headingClipboard = new ClipboardJS('.article .content .heading-anchor', {
+            text: (trigger) => location.href.split('#')[0] + $(trigger).attr('href')
+        });
+        headingClipboard.on('success', () => {
+            showToast('Link copied');
+        });
+        headingClipboard.on('error', () => {
+            showToast('Copy failed', 'is-danger');
+        });
+    }
+
+    // scroll to the heading a search result links to, e.g. /post/#section, and flash it
+    function flashHeading() {
+        let id;
+        try {
+            id = decodeURIComponent(location.hash.slice(1));
+        } catch (e) {
+            return;
         }
+        const heading = id ? document.getElementById(id) : null;
+        if (!heading || !$(heading).is('.article .content :header')) {
+            return;
+        }
+        heading.scrollIntoView();
+        $(heading).removeClass('is-flashing');
+        void heading.offsetWidth; // restart the animation
+        $(heading).addClass('is-flashing');
+    }
+
+    renderMath(config);
 
-        $toc.on('click', toggleToc);
-        $mask.on('click', toggleToc);
-        $('.navbar-main .catalogue').on('click', toggleToc);
+    // progress bar, time left and saved position of posts, see js/reading.js
+    const reading = (config && config.reading) || {};
+    if (reading.enable !== false) {
+        if (window.Reading) {
+            Reading.start(reading); // eslint-disable-line no-undef
+        } else if ($('.column-main article.article .content').length) {
+            $.ajax({url: reading.scriptUrl || '/js/reading.js', dataType: 'script', cache: true}).then(() => {
+                Reading.start(reading); // eslint-disable-line no-undef
+            });
+        }
     }
+
+    // pjax scrolls to the hash itself once this ran, under the fixed navbar or, for a line of
+    // code, which has no element of that id, to the top
+    requestAnimationFrame(flashHeading);
+    $(window).off('hashchange.heading').on('hashchange.heading', flashHeading);
+    requestAnimationFrame(targetCodeLine);
+    $(window).off('hashchange.code-line').on('hashchange.code-line', targetCodeLine);
 }
 
-function loadMathJax() { //加载mathjax
-    $.getScript("//cdnjs.cloudflare.com/ajax/libs/mathjax/2.7.4/MathJax.js?config=TeX-MML-AM_CHTML", function () {
-        MathJax.Hub.Config({ tex2jax: { inlineMath: [['$', '$'], ['\\(', '\\)']] } });
-        var math = document.getElementsByClassName("entry-content")[0];
-        MathJax.Hub.Queue(["Typeset", MathJax.Hub, math]);
+/**
+ * Show a short message at the bottom of the page, e.g. the result of a copy button.
+ * @param String    type    Bulma color class of the message, is-success by default
+ */
+function showToast(message, type) {
+    let $container = $('.toast-container');
+    if (!$container.length) {
+        $container = $('<div class="toast-container">').appendTo('body');
+    }
+    const $toast = $('<div class="toast notification">').addClass(type || 'is-success').text(message);
+    $container.append($toast);
+    setTimeout(() => {
+        $toast.fadeOut(300, () => $toast.remove());
+    }, 2000);
+}
+
+/**
+ * Math rendering of `$…$`, `$$…$$`, `\(…\)` and `\[…\]` in every article, loading nothing
+ * until one holds math; set `IcarusThemeSettings.math.enable` to false to turn it off.
+ * MathJax 3 is used, or KaTeX with `math.renderer` set to 'katex'. Both are self-hosted in
+ * /lib: tex-mml-chtml.js of MathJax with its fonts and TeX extensions in /lib/mathjax/, and
+ * KaTeX with its auto-render extension and woff2 fonts in /lib/katex/. Point
+ * `math.mathjaxUrl`, `math.katexUrl`, `math.katexAutoRenderUrl` and `math.katexCssUrl`
+ * elsewhere to use other copies.
+ */
+// an inline `$…$` stays on one line and doesn't touch a word on either side, so that R code
+// like `plot(bady$observation,bady$height)` isn't taken for math
+const MATH_PATTERN = /\$\$[\s\S]+?\$\$|(?:^|[^\w$\\])\$[^$\s](?:[^$\n]{0,200}?[^$\s\\])?\$(?![\w$])|\\\([\s\S]+?\\\)|\\\[[\s\S]+?\\\]/;
+const MATH_CONTAINERS = '.article .content, #hexo-blog-encrypt';
+const MATH_DELIMITERS = [
+    {left: '$$', right: '$$', display: true},
+    {left: '\\[', right: '\\]', display: true},
+    {left: '$', right: '$', display: false},
+    {left: '\\(', right: '\\)', display: false}
+];
+// The renderer, once loaded
+let mathLoader = null;
+
+// whether the text of an element holds math, not counting code
+function hasMath(element) {
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) => {
+            return $(node.parentNode).closest('pre, code, script, style, figure.highlight').length
+                ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT;
+        }
     });
+    let text = '';
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        text += node.nodeValue;
+    }
+    return MATH_PATTERN.test(text);
 }
 
+function loadMathRenderer(options) {
+    const script = (url) => $.ajax({url, dataType: 'script', cache: true});
+    if (options.renderer === 'katex') {
+        $('<link rel="stylesheet">').attr('href', options.katexCssUrl || '/lib/katex/katex.min.css').appendTo('head');
+        return script(options.katexUrl || '/lib/katex/katex.min.js').then(() => {
+            return script(options.katexAutoRenderUrl || '/lib/katex/contrib/auto-render.min.js');
+        }).then(() => (elements) => {
+            elements.forEach((element) => {
+                renderMathInElement(element, { // eslint-disable-line no-undef
+                    delimiters: MATH_DELIMITERS,
+                    ignoredTags: ['script', 'noscript', 'style', 'textarea', 'pre', 'code'],
+                    throwOnError: false
+                });
+            });
+        });
+    }
+    window.MathJax = {
+        tex: {inlineMath: [['$', '$'], ['\\(', '\\)']]},
+        startup: {typeset: false}
+    };
+    return script(options.mathjaxUrl || '/lib/mathjax/tex-mml-chtml.js').then(() => {
+        return MathJax.startup.promise; // eslint-disable-line no-undef
+    }).then(() => (elements) => {
+        return MathJax.typesetPromise(elements); // eslint-disable-line no-undef
+    });
+}
+
+/**
+ * Typeset the articles of the page not typeset yet, called on load, after pjax loads a page
+ * and after hexo-blog-encrypt decrypts a post.
+ */
+function renderMath(config) {
+    const options = (config && config.math) || {};
+    if (options.enable === false) {
+        return;
+    }
+    // marked while typeset, and left unmarked to try again when the renderer fails
+    const $elements = $(MATH_CONTAINERS).filter(function () {
+        return !$(this).attr('data-math') && hasMath(this);
+    }).attr('data-math', 'pending');
+    if (!$elements.length) {
+        return;
+    }
+    if (!mathLoader) {
+        mathLoader = loadMathRenderer(options);
+        mathLoader.fail(() => {
+            mathLoader = null;
+        });
+    }
+    mathLoader.then((typeset) => typeset($elements.get())).then(() => {
+        $elements.attr('data-math', 'rendered');
+    }, () => {
+        $elements.removeAttr('data-math');
+    });
+}
+
+// kept for the pjax handler of the layout
+function loadMathJax() {
+    renderMath(window.IcarusThemeSettings);
+}
+
+window.addEventListener('hexo-blog-decrypt', () => {
+    renderMath(window.IcarusThemeSettings);
+});
+
 $(document).ready(function () {
     loadMainJs(jQuery, window.moment, window.ClipboardJS, window.IcarusThemeSettings);
     /* 添加背景色 */
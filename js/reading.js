@@ -0,0 +1,176 @@
+/**
+ * Reading progress of a post: a progress bar under the fixed navbar, the time left to read,
+ * and the position the reader left the post at, offered back when they return to it.
+ *
+ * Loaded by js/main.js on post pages, which calls Reading.start(config.reading) on every
+ * page load, pjax ones included. Options, all optional:
+ *   enable           false to leave posts alone, js/reading.js isn't loaded then
+ *   charsPerMinute   Chinese, Japanese and Korean characters read per minute, 300 by default
+ *   wordsPerMinute   words of other languages read per minute, 200 by default
+ *   resume           false to neither save nor offer back the position
+ */
+(function (window, document, $) {
+  const POSITION_KEY = 'reading-position:';
+  const POSITION_EXPIRE = 30 * 24 * 60 * 60 * 1000; // 30 days
+  // Positions this close to the start or the end of a post aren't worth offering back
+  const RESUME_MIN = 0.05;
+  const RESUME_MAX = 0.95;
+
+  const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/g;
+  const WORD_PATTERN = /[A-Za-z0-9\u00c0-\u024f]+(?:['\u2019-][A-Za-z0-9\u00c0-\u024f]+)*/g;
+
+  // The post being read, null when the page isn't one
+  let current = null;
+
+  /**
+   * Minutes it takes to read a text, counting its CJK characters and the words around them.
+   */
+  function readingTime(text, options) {
+    const chars = (text.match(CJK_PATTERN) || []).length;
+    const words = (text.replace(CJK_PATTERN, ' ').match(WORD_PATTERN) || []).length;
+    return chars / (options.charsPerMinute || 300) + words / (options.wordsPerMinute || 200);
+  }
+
+  function formatRemaining(minutes) {
+    if (minutes < 0.5) {
+      return '即将读完';
+    }
+    return minutes < 1 ? '剩余不到 1 分钟' : `剩余 ${Math.round(minutes)} 分钟`;
+  }
+
+  /**
+   * How far the reader got through the post, from 0 when its top reaches the navbar to 1
+   * when its bottom enters the viewport.
+   */
+  function progressOf(post) {
+    const top = post.$content.offset().top - post.offset;
+    const range = post.$content.outerHeight() - (window.innerHeight - post.offset);
+    if (range <= 0) {
+      return 1;
+    }
+    return Math.min(1, Math.max(0, (window.scrollY - top) / range));
+  }
+
+  function scrollToProgress(post, progress) {
+    const top = post.$content.offset().top - post.offset;
+    const range = post.$content.outerHeight() - (window.innerHeight - post.offset);
+    window.scrollTo({ top: top + Math.max(0, range) * progress, behavior: 'smooth' });
+  }
+
+  function savedPosition(key) {
+    try {
+      return localStorage.getExpire(key);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function savePosition(post) {
+    if (!post || post.options.resume === false) {
+      return;
+    }
+    const progress = progressOf(post);
+    try {
+      if (progress < RESUME_MIN || progress > RESUME_MAX) {
+        localStorage.removeItem(post.key);
+      } else {
+        localStorage.setExpire(post.key, { progress }, POSITION_EXPIRE);
+      }
+    } catch (e) {}
+  }
+
+  function update(post) {
+    const progress = progressOf(post);
+    post.$bar.css('transform', `scaleX(${progress})`);
+    post.$label.text(formatRemaining(post.minutes * (1 - progress)));
+    post.$progress.toggleClass('is-hidden', progress <= 0);
+    // the reader got back there on their own
+    if (post.$prompt && progress >= post.resumeAt) {
+      post.$prompt.remove();
+      post.$prompt = null;
+    }
+  }
+
+  /**
+   * Offer to scroll back to where the reader left the post.
+   */
+  function offerResume(post, saved) {
+    const percent = Math.round(saved.progress * 100);
+    const $prompt = $('<div class="reading-resume notification is-info">')
+      .append($('<span>').text(`上次读到 ${percent}%`))
+      .append($('<button class="button is-small is-white">').text('继续阅读'))
+      .append($('<button class="delete" aria-label="close">'))
+      .appendTo('body');
+    post.$prompt = $prompt;
+    post.resumeAt = saved.progress;
+    $prompt.find('.button').on('click', () => {
+      scrollToProgress(post, saved.progress);
+    });
+    $prompt.find('.delete').on('click', () => {
+      $prompt.remove();
+      post.$prompt = null;
+    });
+  }
+
+  function stop() {
+    if (!current) {
+      return;
+    }
+    clearTimeout(current.saving);
+    savePosition(current);
+    $(window).off('.reading');
+    current.$progress.remove();
+    if (current.$prompt) {
+      current.$prompt.remove();
+    }
+    current = null;
+  }
+
+  function start(options) {
+    stop();
+    const $content = $('.column-main article.article .content');
+    // lists of posts have a read more link under each excerpt
+    if ($content.length !== 1 || $('.column-main .article-more').length) {
+      return;
+    }
+    options = options || {};
+    const $progress = $('<div class="reading-progress is-hidden">')
+      .append('<div class="reading-progress-bar">')
+      .append('<span class="reading-progress-label">')
+      .appendTo('body');
+    const post = {
+      options,
+      $content,
+      $progress,
+      $bar: $progress.find('.reading-progress-bar'),
+      $label: $progress.find('.reading-progress-label'),
+      key: POSITION_KEY + location.pathname,
+      offset: $('.navbar-main.is-fixed-top').outerHeight() || 0,
+      minutes: readingTime($content.text(), options),
+      $prompt: null,
+      resumeAt: 1,
+      saving: null,
+    };
+    $progress.css('top', post.offset);
+    current = post;
+
+    $(window).on('scroll.reading resize.reading', () => {
+      update(post);
+      clearTimeout(post.saving);
+      post.saving = setTimeout(() => savePosition(post), 500);
+    });
+    $(window).on('pagehide.reading', () => savePosition(post));
+    update(post);
+
+    const saved = options.resume === false ? null : savedPosition(post.key);
+    // a link to a heading says where to read from already
+    if (saved && !location.hash && progressOf(post) < RESUME_MIN) {
+      offerResume(post, saved);
+    }
+  }
+
+  // keep the position of the post pjax leaves
+  document.addEventListener('pjax:send', stop);
+
+  window.Reading = { start, stop, readingTime };
+})(window, document, jQuery);
@@ -0,0 +1,695 @@
+/**
+ * Search box shared by the search providers: open/close state, URL hash, result templates,
+ * keyboard navigation and recent searches. Insight (js/insight.js), Algolia (js/algolia.js)
+ * and Google CSE (js/google_cse.js) are providers, registered with Searchbox.register().
+ *
+ * A provider is created by `factory(config, translation)` and may implement:
+ *   init()                      load what it needs, may return a promise, searches wait for it
+ *   query(keywords, results)    search and output through the results, see resultsFactory()
+ *   paginate(type, offset, results)
+ *                               output more items of a section through results.append()
+ *   highlight(item, results)    { title, subtitle, preview } of an item as HTML, escaped
+ *   empty(results)              sections shown under the recent searches while the input
+ *                               is empty, instead of querying an empty string
+ *   fromParams(params)          query held by the URL parameters of the hash, defaults to `q`
+ *   toParams(keywords, params)  fill the URL parameters of the hash for a query
+ *
+ * Items with `sub: true` are shown indented under the item before them, e.g. the sections
+ * of a post matching the query; they don't count in the offset given to paginate().
+ *
+ * Items rendered by the provider itself join the keyboard navigation with the
+ * `searchbox-result-item` class and a `data-external` attribute.
+ *
+ * It may set:
+ *   hash                        URL hash opening the search box, e.g. '#insight-search';
+ *                               the query is then kept in the URL, see fromParams()
+ *   debounce                    input delay in milliseconds before querying
+ */
+(function (window, $) {
+  const providers = {};
+
+  const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+  function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, (char) => {
+      return HTML_ESCAPES[char];
+    });
+  }
+
+  function debounce(func, wait) {
+    let timeout;
+    return function () {
+      const context = this;
+      const args = arguments;
+      clearTimeout(timeout);
+      timeout = setTimeout(() => {
+        func.apply(context, args);
+      }, wait);
+    };
+  }
+
+  const RECENT_KEY = 'searchbox-recent-searches';
+  const RECENT_EXPIRE = 30 * 24 * 60 * 60 * 1000; // 30 days
+  const RECENT_LIMIT = 8;
+
+  /**
+   * Queries the reader opened a result of, latest first, kept with Storage#setExpire
+   * from js/globalUtils.js.
+   */
+  function recentSearches() {
+    try {
+      return localStorage.getExpire(RECENT_KEY) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function saveRecentSearches(queries) {
+    try {
+      localStorage.setExpire(RECENT_KEY, queries, RECENT_EXPIRE);
+    } catch (e) {}
+  }
+
+  function addRecentSearch(query) {
+    query = query.trim();
+    if (!query) return;
+    const queries = recentSearches().filter((recent) => {
+      return recent !== query;
+    });
+    saveRecentSearches([query].concat(queries).slice(0, RECENT_LIMIT));
+  }
+
+  function removeRecentSearch(query) {
+    saveRecentSearches(
+      recentSearches().filter((recent) => {
+        return recent !== query;
+      }),
+    );
+  }
+
+  /**
+   * Load the script of a provider that is not registered yet, e.g. js/insight.js
+   * when falling back to it. The script registers the provider itself.
+   */
+  function loadProvider(name, url) {
+    if (providers[name]) {
+      return $.Deferred().resolve();
+    }
+    return $.ajax({ url: url || '/js/' + name + '.js', dataType: 'script', cache: true });
+  }
+
+  /**
+   * @param String            name    Provider to start with
+   * @param Object            config  Options of the provider, and of the search box:
+   *                                  debounce, timeout (5000 ms) of queries, and of the
+   *                                  provider's init when there is a fallback, fallback (name
+   *                                  of the provider to switch to when they fail or time out),
+   *                                  fallbackConfig, fallbackScriptUrl
+   */
+  function controller(name, config, translation) {
+    const $main = $('.searchbox');
+    let $input = $main.find('.searchbox-input');
+    const $container = $main.find('.searchbox-body');
+    // the Algolia layout leaves the input to the provider
+    if (!$input.length) {
+      $input = $('<input type="text">')
+        .addClass('searchbox-input')
+        .attr('placeholder', translation.hint || '')
+        .appendTo($main.find('.searchbox-input-container').first());
+    }
+
+    /**
+     * @param Number            total   Matches of the section, shown in its header, optional
+     */
+    function section(title, total) {
+      const $section = $('<section>').addClass('searchbox-result-section');
+      if (title) {
+        const $header = $('<header>').text(title);
+        if (total != null) {
+          $header.append($('<span>').addClass('searchbox-result-count').text(total));
+        }
+        $section.append($header);
+      }
+      return $section;
+    }
+
+    function searchItem(icon, title, slug, preview, url) {
+      title = title != null && title !== '' ? title : translation.untitled;
+      const subtitle = slug
+        ? '<span class="searchbox-result-title-secondary">(' + slug + ')</span>'
+        : '';
+
+      return `<a class="searchbox-result-item" href="${escapeHTML(url)}">
+            ${icon ? '<span class="searchbox-result-icon"><i class="fa fa-' + icon + '" /></span>' : ''}
+            <span class="searchbox-result-content">
+                <span class="searchbox-result-title">
+                    ${title}
+                    ${subtitle}
+                </span>
+                ${preview ? '<span class="searchbox-result-preview">' + preview + '</span>' : ''}
+            </span>
+        </a>`;
+    }
+
+    function highlight(item, results) {
+      if (provider.highlight) {
+        return provider.highlight(item, results);
+      }
+      return {
+        title: item.title && escapeHTML(item.title),
+        subtitle: item.subtitle && escapeHTML(item.subtitle),
+        preview: item.preview && escapeHTML(item.preview),
+      };
+    }
+
+    /**
+     * @param Object            item    { icon, title, subtitle, preview, url }, or { query }
+     *                                  for an item searching another query
+     */
+    function itemFactory(item, results) {
+      if (item.query != null) {
+        const $item = $(
+          searchItem(item.icon || 'search', escapeHTML(item.query), null, null, 'javascript:;'),
+        );
+        return $item.attr('data-query', item.query);
+      }
+      const html = highlight(item, results);
+      const $item = $(searchItem(item.icon, html.title, html.subtitle, html.preview, item.url));
+      return item.sub ? $item.addClass('searchbox-result-subitem') : $item;
+    }
+
+    function moreItem(type, remaining) {
+      const title = escapeHTML(translation.show_more || 'Show more');
+      const $item = $(
+        searchItem('ellipsis-h', title, remaining ? String(remaining) : null, null, 'javascript:;'),
+      );
+      return $item.addClass('searchbox-result-more').attr('data-more', type);
+    }
+
+    function recentItem(query) {
+      const $item = $(searchItem('history', escapeHTML(query), null, null, 'javascript:;'));
+      const $clear = $('<span>')
+        .addClass('searchbox-result-clear')
+        .attr('title', translation.clear || 'Clear')
+        .html('&times;');
+      return $item.attr({ 'data-query': query, 'data-recent': query }).append($clear);
+    }
+
+    /**
+     * Forget a recent search and keep the selection on a neighbouring entry.
+     */
+    function clearRecentSearch($item) {
+      if (!$item.length) return;
+      removeRecentSearch($item.attr('data-recent'));
+      const $section = $item.closest('.searchbox-result-section');
+      const $next = $item.next('.searchbox-result-item').length
+        ? $item.next('.searchbox-result-item')
+        : $item.prev('.searchbox-result-item');
+      if ($item.hasClass('active')) {
+        $next.addClass('active');
+      }
+      $item.remove();
+      if (!$section.find('.searchbox-result-item').length) {
+        $section.remove();
+      }
+    }
+
+    const timeout = config.timeout > 0 ? config.timeout : 5000;
+    let provider = null;
+    let switching = false;
+    let failed = false;
+    let bound = false;
+
+    // The results of the latest query; those of older queries are dropped
+    let current = null;
+
+    /**
+     * Output of one query. The previous results stay on screen until its first output,
+     * and every output is ignored once a newer query started.
+     */
+    function resultsFactory(keywords) {
+      let rendered = false;
+      let suggestion = null;
+      const results = {
+        keywords,
+
+        // whether the provider answered the query, see search()
+        answered: false,
+
+        get stale() {
+          return current !== results;
+        },
+
+        get suggestion() {
+          return suggestion;
+        },
+
+        /**
+         * Offer a corrected query above the results.
+         */
+        suggest: function (query) {
+          suggestion = query || null;
+        },
+
+        /**
+         * @param String            type    Section name, used by paginate()
+         * @param Object            options { title, items, total, more }, more defaults to
+         *                                  whether total is above the number of items
+         */
+        section: function (type, options) {
+          results.answered = true;
+          if (!render() || !options.items.length) return;
+          const $section = section(options.title, options.total)
+            .attr('data-section', type)
+            .append(
+              options.items.map((item) => {
+                return itemFactory(item, results);
+              }),
+            );
+          appendMore($section, type, options);
+          $container.append($section);
+        },
+
+        /**
+         * Append the items of a section loaded by paginate(). When "show more" was
+         * selected, the first new item is, so the keyboard navigation goes on from there.
+         */
+        append: function (type, items, options) {
+          results.answered = true;
+          if (!render()) return;
+          const $section = $container.find('[data-section="' + type + '"]');
+          const $more = $section.find('.searchbox-result-more');
+          const active = $more.hasClass('active');
+          const first = $section.find('.searchbox-result-item').length - $more.length;
+          $more.remove();
+          $section.append(
+            items.map((item) => {
+              return itemFactory(item, results);
+            }),
+          );
+          appendMore($section, type, options || {});
+          if (active) {
+            const $first = $section.find('.searchbox-result-item').eq(first).addClass('active');
+            scrollTo($first);
+          }
+        },
+
+        /**
+         * A line of text instead of results, e.g. when nothing matches.
+         */
+        notice: function (text, title) {
+          results.answered = true;
+          if (!render()) return;
+          const $item = $('<div>').addClass('searchbox-result-item disabled').text(text);
+          $container.append(section(title).append($item));
+        },
+
+        /**
+         * Show results rendered by the provider itself.
+         */
+        element: function (element) {
+          if (!render()) return;
+          $container.append(element);
+        },
+
+        /**
+         * Called when the query is complete, clears the previous results if nothing
+         * was output.
+         */
+        done: function () {
+          results.answered = true;
+          render();
+        },
+
+        /**
+         * Report that the provider failed, the search box falls back to another one.
+         */
+        fail: function (error) {
+          if (!results.stale) {
+            failover(error);
+          }
+        },
+
+        /**
+         * Query again for the same keywords, when filters of the provider changed; the URL
+         * is updated with them, see toParams().
+         */
+        refresh: function () {
+          if (!results.stale) {
+            search();
+          }
+        },
+      };
+
+      function render() {
+        if (results.stale) {
+          return false;
+        }
+        if (!rendered) {
+          rendered = true;
+          $container.empty();
+          if (suggestion) {
+            $container.append(
+              section(translation.did_you_mean || 'Did you mean').append(
+                itemFactory({ query: suggestion }, results),
+              ),
+            );
+          }
+        }
+        return true;
+      }
+
+      /**
+       * A "show more" item after the items of a section when it has more. The heading rows
+       * of sub results don't count as shown, like the offset showMore() paginates from.
+       */
+      function appendMore($section, type, options) {
+        const shown = $section.find('.searchbox-result-item:not(.searchbox-result-subitem)').length;
+        const more = options.more != null ? options.more : options.total > shown;
+        if (more) {
+          $section.append(moreItem(type, options.total > shown ? options.total - shown : null));
+        }
+      }
+
+      return results;
+    }
+
+    function search() {
+      if (!provider || switching) return;
+      const keywords = $input.val();
+      const results = (current = resultsFactory(keywords));
+      setTimeout(() => {
+        if (!results.answered) {
+          results.fail(new Error('Search timed out'));
+        }
+      }, timeout);
+      if (!keywords.trim()) {
+        const recent = recentSearches();
+        if (recent.length) {
+          results.element(
+            section(translation.recent_searches || 'Recent searches').append(
+              recent.map(recentItem),
+            ),
+          );
+        }
+        if (provider.empty) {
+          provider.empty(results);
+          updateURL();
+          return;
+        }
+      }
+      provider.query(keywords, results);
+      updateURL();
+    }
+
+    function showMore($item) {
+      if ($item.hasClass('is-loading') || !current || !provider.paginate) {
+        return;
+      }
+      $item.addClass('is-loading');
+      provider.paginate(
+        $item.attr('data-more'),
+        $item.siblings('.searchbox-result-item:not(.searchbox-result-subitem)').length,
+        current,
+      );
+    }
+
+    function scrollTo($item) {
+      if ($item.length === 0) return;
+      const wrapperHeight = $container[0].clientHeight;
+      const itemTop = $item.position().top - $container.scrollTop();
+      const itemBottom = $item[0].clientHeight + $item.position().top;
+      if (itemBottom > wrapperHeight + $container.scrollTop()) {
+        $container.scrollTop(itemBottom - $container[0].clientHeight);
+      }
+      if (itemTop < 0) {
+        $container.scrollTop($item.position().top);
+      }
+    }
+
+    function selectItemByDiff(value) {
+      const $items = $.makeArray($container.find('.searchbox-result-item:not(.disabled)'));
+      let prevPosition = -1;
+      $items.forEach((item, index) => {
+        if ($(item).hasClass('active')) {
+          prevPosition = index;
+        }
+      });
+      const nextPosition = ($items.length + prevPosition + value) % $items.length;
+      $($items[prevPosition]).removeClass('active');
+      $($items[nextPosition]).addClass('active');
+      scrollTo($($items[nextPosition]));
+    }
+
+    function gotoLink($item) {
+      if ($item && $item.length) {
+        if ($item.is('[data-more]')) {
+          showMore($item);
+          return;
+        }
+        if ($item.is('[data-query]')) {
+          $input.val($item.attr('data-query')).trigger('input').focus();
+          return;
+        }
+        addRecentSearch($input.val());
+        location.href = $item.is('[href]')
+          ? $item.attr('href')
+          : $item.find('a[href]').attr('href');
+      }
+    }
+
+    /**
+     * Read the query held by a search URL hash, so that links like
+     * /#insight-search?q=nginx open the search box pre-filled.
+     * @return String           null if the hash doesn't open the search box
+     */
+    function hashToQuery(hash) {
+      hash = hash.trim();
+      if (!provider.hash || (hash !== provider.hash && hash.indexOf(provider.hash + '?') !== 0)) {
+        return null;
+      }
+      const params = new URLSearchParams(hash.slice(provider.hash.length + 1));
+      return provider.fromParams ? provider.fromParams(params) : params.get('q') || '';
+    }
+
+    function queryToHash(keywords) {
+      const params = new URLSearchParams();
+      if (provider.toParams) {
+        provider.toParams(keywords, params);
+      } else if (keywords.trim()) {
+        params.append('q', keywords.trim());
+      }
+      const query = params.toString();
+      return provider.hash + (query ? '?' + query : '');
+    }
+
+    /**
+     * Keep the URL in sync with the search box. The current history entry is replaced
+     * rather than new ones pushed, as pjax reloads the page when popping entries it
+     * doesn't know; Back still restores the search from the URL of the page left.
+     */
+    function updateURL() {
+      if (!provider.hash) return;
+      if ($main.hasClass('show')) {
+        const hash = queryToHash($input.val());
+        if (hash !== location.hash) {
+          history.replaceState(history.state, '', hash);
+        }
+      } else if (hashToQuery(location.hash) !== null) {
+        history.replaceState(history.state, '', location.pathname + location.search);
+      }
+    }
+
+    function open() {
+      $main.addClass('show');
+      updateURL();
+    }
+
+    function close() {
+      $main.removeClass('show');
+      updateURL();
+    }
+
+    // Follow the URL when it is changed by Back/Forward or a link to a search, pjax ones included
+    function restore() {
+      const keywords = hashToQuery(location.hash);
+      if (keywords === null) {
+        $main.removeClass('show');
+        return;
+      }
+      $main.addClass('show');
+      if (keywords !== $input.val()) {
+        $input.val(keywords);
+        search();
+      }
+    }
+
+    /**
+     * Create a provider and wait until it is ready, for `config.timeout` at most when there is
+     * a fallback to switch to; without one a slow provider is still better than none.
+     */
+    function startProvider(providerName, providerConfig, scriptUrl) {
+      const deferred = $.Deferred();
+      if (config.fallback && providerName !== config.fallback) {
+        setTimeout(() => {
+          deferred.reject(new Error('Search provider ' + providerName + ' timed out'));
+        }, timeout);
+      }
+      loadProvider(providerName, scriptUrl)
+        .then(() => {
+          provider = providers[providerName](providerConfig, translation);
+          return provider.init ? provider.init() : null;
+        })
+        .then(deferred.resolve, deferred.reject);
+      return deferred.promise();
+    }
+
+    /**
+     * Switch to `config.fallback` once the provider failed, with a notice in the search box.
+     */
+    function failover(error) {
+      if (failed || switching || !config.fallback) {
+        console.error(error);
+        return;
+      }
+      console.warn(
+        'Search provider ' + name + ' failed, falling back to ' + config.fallback,
+        error,
+      );
+      switching = true;
+      current = null;
+      startProvider(
+        config.fallback,
+        config.fallbackConfig || { contentUrl: '/content.json' },
+        config.fallbackScriptUrl,
+      ).then(
+        () => {
+          switching = false;
+          failed = true;
+          $('<div>')
+            .addClass('searchbox-notice')
+            .text(
+              translation.fallback_notice ||
+                'The search service is unavailable, showing results of the local search.',
+            )
+            .insertAfter($main.find('.searchbox-header'));
+          bound ? search() : bind();
+        },
+        (e) => {
+          switching = false;
+          failed = true;
+          console.error(e);
+        },
+      );
+    }
+
+    function bind() {
+      bound = true;
+      const keywords = hashToQuery(location.hash);
+      if (keywords !== null) {
+        $main.addClass('show');
+        $input.val(keywords);
+      }
+      const wait = config.debounce != null ? config.debounce : provider.debounce;
+      $input.on('input', debounce(search, wait != null ? wait : 150));
+      $(window).on('popstate', restore);
+      // pjax pushes the links it follows, firing neither popstate nor hashchange
+      document.addEventListener('pjax:complete', restore);
+      search();
+    }
+
+    startProvider(name, config).then(bind, failover);
+
+    let touch = false;
+    $(document)
+      .on('click focus', '.navbar-main .search', () => {
+        open();
+        $input.focus();
+      })
+      .on('click touchend', '.searchbox-result-clear', function (e) {
+        if (e.type !== 'click' && !touch) {
+          return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+        clearRecentSearch($(this).closest('.searchbox-result-item'));
+        touch = false;
+      })
+      .on('click touchend', '.searchbox-result-item', function (e) {
+        if (e.type !== 'click' && !touch) {
+          return;
+        }
+        // links rendered by the provider itself, e.g. Google CSE, work on their own
+        if ($(this).is('[data-external]')) {
+          return;
+        }
+        gotoLink($(this));
+        touch = false;
+      })
+      .on('click', '.searchbox .searchbox-mask', () => {
+        close();
+      })
+      .on('click touchend', '.searchbox-close', (e) => {
+        if (e.type !== 'click' && !touch) {
+          return;
+        }
+        $('.navbar-main').css('pointer-events', 'none');
+        setTimeout(() => {
+          $('.navbar-main').css('pointer-events', 'auto');
+        }, 400);
+        close();
+        touch = false;
+      })
+      .on('keydown', (e) => {
+        if (!$main.hasClass('show')) return;
+        switch (e.keyCode) {
+          case 27: // ESC
+            close();
+            break;
+          case 38: // UP
+            selectItemByDiff(-1);
+            break;
+          case 40: // DOWN
+            selectItemByDiff(1);
+            break;
+          case 13: // ENTER
+            gotoLink($container.find('.searchbox-result-item.active').eq(0));
+            break;
+          case 46: // DELETE
+            clearRecentSearch($container.find('.searchbox-result-item.active[data-recent]'));
+            break;
+        }
+      })
+      .on('touchstart', (e) => {
+        touch = true;
+      })
+      .on('touchmove', (e) => {
+        touch = false;
+      });
+
+    return { search, open, close };
+  }
+
+  window.Searchbox = {
+    escapeHTML,
+
+    /**
+     * Make a search provider available to start().
+     * @param String            name    Provider name
+     * @param Function          factory (config, translation) => provider
+     */
+    register: function (name, factory) {
+      providers[name] = factory;
+    },
+
+    /**
+     * Bind the search box of the page to a registered provider.
+     */
+    start: function (name, config, translation) {
+      if (!providers[name]) {
+        throw new Error('Unknown search provider: ' + name);
+      }
+      return controller(name, config, translation);
+    },
+  };
+})(window, jQuery);
@@ -1,38 +1,124 @@
 // author by removef
 // https://removeif.github.io/
 
-function isNightFun() {
-    var isNightTemp = localStorage.getExpire('night');
+/**
+ * Night mode. The night button of the navbar cycles through light, dark and auto, and the
+ * choice is kept until the reader changes it. Auto follows the color scheme of the system,
+ * or a schedule set in the theme settings:
+ *   IcarusThemeSettings.night = { schedule: { sunset: '18:30', sunrise: '06:30' } }
+ * `start` and `end` can be given instead of sunset and sunrise, for any other time range.
+ * The theme settings are defined after this script, so the schedule is kept in localStorage
+ * as well and the page starts out with the one of the last page, not with a flash of the
+ * system's color scheme.
+ */
+const THEME_KEY = 'theme';
+const SCHEDULE_KEY = 'theme-schedule';
+const THEME_MODES = ['light', 'dark', 'auto'];
+const THEME_ICONS = {light: 'fa-sun', dark: 'fa-moon', auto: 'fa-adjust'};
+const THEME_TITLES = {light: '日间模式', dark: '夜间模式', auto: '跟随系统'};
+
+const darkScheme = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+
+// whether the page is dark, null until applied
+var isNight = null;
+// 参考自 https://www.imaegoo.com/
+var nightNav;
+var nightIcon;
+
+function themePreference() {
+    let mode = null;
+    try {
+        mode = localStorage.getItem(THEME_KEY);
+    } catch (e) {}
+    return THEME_MODES.indexOf(mode) > -1 ? mode : 'auto';
+}
 
-    // 第一次进来判断是白天还是晚上
-    if (isNightTemp == null || isNightTemp == undefined) {
-        if (isNightRange("19:00", "23:59") || isNightRange("00:00", "07:00")) {
-            isNightTemp = 'true';
+function nightSchedule() {
+    const settings = window.IcarusThemeSettings;
+    if (!settings && document.readyState === 'loading') {
+        // the schedule of the last page, until the theme settings are defined
+        try {
+            return JSON.parse(localStorage.getItem(SCHEDULE_KEY));
+        } catch (e) {
+            return null;
+        }
+    }
+    const schedule = settings && settings.night && settings.night.schedule;
+    const start = schedule && (schedule.sunset || schedule.start);
+    const end = schedule && (schedule.sunrise || schedule.end);
+    return start && end ? {start: start, end: end} : null;
+}
+
+// keep the schedule of the theme settings for the start of the next page
+function saveNightSchedule() {
+    const schedule = nightSchedule();
+    try {
+        if (schedule) {
+            localStorage.setItem(SCHEDULE_KEY, JSON.stringify(schedule));
         } else {
-            isNightTemp = 'false';
+            localStorage.removeItem(SCHEDULE_KEY);
         }
-        localStorage.setExpire("night", isNightTemp, expireTime1H);
+    } catch (e) {}
+}
+
+// minutes since midnight of a HH:mm time, NaN when it isn't one
+function minutesOf(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(time).trim());
+    return match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+}
+
+function inTimeRange(start, end, date) {
+    const now = date.getHours() * 60 + date.getMinutes();
+    const from = minutesOf(start);
+    const to = minutesOf(end);
+    if (isNaN(from) || isNaN(to)) {
+        return false;
     }
-    return isNightTemp;
+    // a range over midnight, like 19:00 to 07:00
+    return from <= to ? now >= from && now < to : now >= from || now < to;
 }
 
-var isNight=isNightFun();
-// 参考自 https://www.imaegoo.com/
-var nightNav;
-var nightIcon;
+function isNightFun() {
+    const mode = themePreference();
+    if (mode !== 'auto') {
+        return mode === 'dark';
+    }
+    const schedule = nightSchedule();
+    if (schedule) {
+        return inTimeRange(schedule.start, schedule.end, new Date());
+    }
+    return Boolean(darkScheme && darkScheme.matches);
+}
 
 function applyNight(value) {
-    if (value == 'true') {
-        document.body.className += ' night'
-        if (nightIcon) {
-            nightIcon.className = nightIcon.className.replace(/ fa-moon/g, '') + ' fa-lightbulb'
-        }
-    } else {
-        document.body.className = document.body.className.replace(/ night/g, '')
-        if (nightIcon) {
-            nightIcon.className = nightIcon.className.replace(/ fa-lightbulb/g, '') + ' fa-moon'
+    document.body.classList.toggle('night', value);
+}
+
+function updateNightIcon() {
+    if (!nightIcon) {
+        return;
+    }
+    const mode = themePreference();
+    const scheduled = mode === 'auto' && nightSchedule();
+    Object.keys(THEME_ICONS).forEach(function (key) {
+        nightIcon.classList.remove(THEME_ICONS[key]);
+    });
+    nightIcon.classList.remove('fa-clock');
+    nightIcon.classList.add(scheduled ? 'fa-clock' : THEME_ICONS[mode]);
+    nightNav.title = scheduled ? '定时切换' : THEME_TITLES[mode];
+}
+
+function updateNight() {
+    const night = isNightFun();
+    if (night !== isNight) {
+        const changed = isNight !== null;
+        isNight = night;
+        applyNight(night);
+        if (changed && typeof loadUtterances == 'function') {
+            loadUtterances();
         }
     }
+    updateNightIcon();
 }
 
 function findNightIcon() {
@@ -42,28 +128,46 @@ function findNightIcon() {
         setTimeout(findNightIcon, 100);
     } else {
         nightNav.addEventListener('click', switchNight);
-        if (isNight) {
-            nightIcon.className = nightIcon.className.replace(/ fa-moon/g, '') + ' fa-lightbulb'
-        } else {
-            nightIcon.className = nightIcon.className.replace(/ fa-lightbulb/g, '') + ' fa-moon'
-        }
+        updateNightIcon();
     }
 }
 
 function switchNight() {
+    const mode = THEME_MODES[(THEME_MODES.indexOf(themePreference()) + 1) % THEME_MODES.length];
+    try {
+        localStorage.setItem(THEME_KEY, mode);
+    } catch (e) {}
+    updateNight();
+}
 
-    if (isNight == 'false') {
-        isNight = 'true';
+// the choice used to expire after an hour
+try {
+    localStorage.removeItem('night');
+} catch (e) {}
+
+if (darkScheme) {
+    if (darkScheme.addEventListener) {
+        darkScheme.addEventListener('change', updateNight);
     } else {
-        isNight = 'false';
-    }
-    
-    applyNight(isNight);
-    localStorage.setExpire('night', isNight, expireTime1H);
-    if(typeof loadUtterances == 'function'){
-        loadUtterances();
+        darkScheme.addListener(updateNight);
     }
 }
+// the schedule is in the theme settings, defined after this script
+document.addEventListener('DOMContentLoaded', function () {
+    saveNightSchedule();
+    updateNight();
+});
+setInterval(function () {
+    if (themePreference() === 'auto' && nightSchedule()) {
+        updateNight();
+    }
+}, 60 * 1000);
+// the choice made in another tab
+window.addEventListener('storage', function (event) {
+    if (event.key === THEME_KEY) {
+        updateNight();
+    }
+});
 
 findNightIcon();
-applyNight(isNight);
\ No newline at end of file
+updateNight();
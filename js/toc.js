@@ -1,4 +1,122 @@
 (function (window, document) {
+  const EXPANDED_KEY = 'toc-expanded:';
+  const EXPANDED_EXPIRE = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+  /**
+   * Branches of the TOC the reader expanded or collapsed themselves, as { heading id: expanded }.
+   */
+  function expandedState() {
+    try {
+      return localStorage.getExpire(EXPANDED_KEY + location.pathname) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function saveExpandedState(state) {
+    try {
+      localStorage.setExpire(EXPANDED_KEY + location.pathname, state, EXPANDED_EXPIRE);
+    } catch (e) {}
+  }
+
+  /**
+   * The element the TOC scrolls in, the TOC itself when its height is capped, null when it
+   * scrolls with the page.
+   */
+  function scrollParent($element) {
+    for (
+      let $parent = $element.parentElement;
+      $parent && $parent !== document.body;
+      $parent = $parent.parentElement
+    ) {
+      const overflow = window.getComputedStyle($parent).overflowY;
+      if (
+        (overflow === 'auto' || overflow === 'scroll') &&
+        $parent.scrollHeight > $parent.clientHeight
+      ) {
+        return $parent;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Scroll the TOC, not the page, so that the entry is visible.
+   */
+  function revealMenu($menu) {
+    const $container = scrollParent($menu);
+    if (!$container) {
+      return;
+    }
+    const menuRect = $menu.getBoundingClientRect();
+    const containerRect = $container.getBoundingClientRect();
+    if (menuRect.top < containerRect.top) {
+      $container.scrollTop -= containerRect.top - menuRect.top + menuRect.height;
+    } else if (menuRect.bottom > containerRect.bottom) {
+      $container.scrollTop += menuRect.bottom - containerRect.bottom + menuRect.height;
+    }
+  }
+
+  /**
+   * Make the entries with nested entries collapsible. Only the branch of the active heading
+   * is expanded, unless the reader expanded or collapsed a branch themselves.
+   */
+  function registerBranches($toc) {
+    const state = expandedState();
+    const $branches = Array.from($toc.querySelectorAll('.menu-list > li')).filter(($li) => {
+      return $li.querySelector(':scope > .menu-list') && $li.querySelector(':scope > a');
+    });
+    const idOf = ($li) => {
+      const $menu = $li.querySelector(':scope > a');
+      return ($menu.getAttribute('data-href') || $menu.getAttribute('href')).trim().slice(1);
+    };
+    let $active = null;
+
+    const update = () => {
+      for (const $li of $branches) {
+        const id = idOf($li);
+        const expanded = id in state ? state[id] : Boolean($active && $li.contains($active));
+        $li.classList.toggle('is-collapsed', !expanded);
+        $li.querySelector(':scope > .toc-toggle').setAttribute('aria-expanded', expanded);
+      }
+    };
+
+    for (const $li of $branches) {
+      const $toggle = document.createElement('span');
+      $toggle.className = 'toc-toggle';
+      $toggle.setAttribute('role', 'button');
+      $toggle.setAttribute('tabindex', '0');
+      $toggle.innerHTML = '<i class="fas fa-angle-down"></i>';
+      const toggle = (event) => {
+        event.preventDefault();
+        state[idOf($li)] = $li.classList.contains('is-collapsed');
+        saveExpandedState(state);
+        update();
+      };
+      $toggle.addEventListener('click', toggle);
+      $toggle.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' || event.key === ' ') {
+          toggle(event);
+        }
+      });
+      // after the link, whose parent's first child toc.js marks active
+      $li.querySelector(':scope > a').after($toggle);
+      $li.classList.add('toc-branch');
+    }
+    update();
+
+    return ($menu) => {
+      $active = $menu;
+      update();
+      revealMenu($menu);
+    };
+  }
+
+  /**
+   * Move to the next (step 1) or previous (step -1) heading of the TOC, set by register().
+   */
+  let navigate = null;
+
   function register($toc) {
     const currentInView = new Set();
     const headingToMenu = new Map();
@@ -13,6 +131,9 @@
     }
 
     const $headings = Array.from(headingToMenu.keys());
+    const activate = registerBranches($toc);
+    // The heading being read, marked active in the TOC
+    let $current = null;
 
     const callback = (entries) => {
       for (const entry of entries) {
@@ -45,6 +166,8 @@
           $menuList.parentElement.children[0].classList.add('is-active');
           $menuList = $menuList.parentElement.parentElement;
         }
+        activate($menu);
+        $current = $heading;
       }
     };
     const observer = new IntersectionObserver(callback, { threshold: 0 });
@@ -57,21 +180,45 @@
         $menu.setAttribute('data-href', $menu.getAttribute('href'));
         $menu.setAttribute('href', 'javascript:;');
         $menu.addEventListener('click', () => {
-          if (typeof $heading.scrollIntoView === 'function') {
-            $heading.scrollIntoView({ behavior: 'smooth' });
-          }
           const anchor = $menu.getAttribute('data-href');
+          // js/main.js renames repeated heading ids and the entries linking to them
+          const $target = document.getElementById(anchor.slice(1)) || $heading;
+          if (typeof $target.scrollIntoView === 'function') {
+            $target.scrollIntoView({ behavior: 'smooth' });
+          }
           if (history.pushState) {
             history.pushState(null, null, anchor);
           } else {
             location.hash = anchor;
           }
         });
-        $heading.style.scrollMargin = '1em';
+        // js/main.js leaves room for the fixed navbar too
+        $heading.style.scrollMargin = $heading.style.scrollMargin || '1em';
       }
     }
+
+    navigate = (step) => {
+      let index = $headings.indexOf($current);
+      if (index < 0) {
+        // nothing read yet, the next heading is the first one
+        index = step > 0 ? -1 : 0;
+      } else if (step < 0 && $current.getBoundingClientRect().top < 0) {
+        // back to the start of the section being read
+        index++;
+      }
+      const $heading = $headings[index + step];
+      if ($heading) {
+        headingToMenu.get($heading).click();
+      }
+      return $heading || null;
+    };
   }
 
+  window.Toc = {
+    next: () => (navigate ? navigate(1) : null),
+    previous: () => (navigate ? navigate(-1) : null),
+  };
+
   if (typeof window.IntersectionObserver === 'undefined') {
     return;
   }
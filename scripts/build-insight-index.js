@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+/**
+ * Build the inverted index queried by the Insight search plugin.
+ *
+ * Usage: node scripts/build-insight-index.js [content.json] [output] [--no-pinyin]
+ *
+ * Install the packages of package.json first (`npm install`), or pass --no-pinyin to
+ * leave the pinyin fields out.
+ *
+ * The output defaults to content.index.json next to content.json, where js/insight.js
+ * looks for it unless loadInsight is given another `indexUrl`. Run it after every
+ * `hexo generate` and commit both files. The index holds a fingerprint of the text it was
+ * built from, and the search scans content.json instead, with a warning in the console,
+ * when the index is missing or content.json has changed since.
+ *
+ * The index is no smaller than content.json (about 550 KB against 390 KB, 146 KB against
+ * 150 KB gzipped), mostly for the two-character terms of the Chinese text, and both are
+ * downloaded. It trades that download for searches that look up terms instead of scanning
+ * every post on each keystroke; pass `indexUrl: false` to loadInsight to skip it.
+ *
+ * The script also writes back into content.json:
+ *   - the `date`, `tags` and `categories` of every post, read from the post lists of
+ *     the generated home pages, for the tag:, category: and year: query filters;
+ *   - the h2 and h3 `headings` of every post and page, read from its generated page, with
+ *     the anchor ids js/toc.js links to and the offset of each heading in the text, so
+ *     results can link to the sections matching a query;
+ *   - unless --no-pinyin is given, a `pinyin` field for every title, tag name and
+ *     category name containing hanzi, so readers can search them in pinyin or by initials.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const InsightIndex = require('../js/insight-index');
+
+const HANZI = /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]/;
+
+function loadPinyin() {
+  try {
+    return require('pinyin-pro').pinyin;
+  } catch (e) {
+    console.error('pinyin-pro is not installed: run `npm install`, or pass --no-pinyin');
+    process.exit(1);
+  }
+}
+
+/**
+ * Spell a string in toneless pinyin, one entry per UTF-16 unit so the client can map
+ * matches back onto the original characters. Anything but hanzi gets an empty entry.
+ */
+function spell(pinyin, text) {
+  const chars = Array.from(text);
+  const syllables = pinyin(text, { type: 'array', toneType: 'none' });
+  const result = [];
+  chars.forEach((char, i) => {
+    result.push(HANZI.test(char) ? String(syllables[i]).toLowerCase() : '');
+    for (let j = 1; j < char.length; j++) {
+      result.push('');
+    }
+  });
+  return result;
+}
+
+function addPinyin(json, pinyin) {
+  Object.keys(InsightIndex.SECTIONS).forEach((type) => {
+    const field = InsightIndex.SECTIONS[type].fields[0];
+    (json[type] || []).forEach((doc) => {
+      delete doc.pinyin;
+      if (HANZI.test(doc[field] || '')) {
+        doc.pinyin = spell(pinyin, doc[field]);
+      }
+    });
+  });
+}
+
+/**
+ * Read the date, categories and tags of every post listed on the home pages
+ * (index.html and page/N/index.html next to content.json).
+ * @return Map              Keyed by decoded post link
+ */
+function readPostMeta(root) {
+  const meta = new Map();
+  const pageDir = path.join(root, 'page');
+  const files = [path.join(root, 'index.html')];
+  if (fs.existsSync(pageDir)) {
+    fs.readdirSync(pageDir).forEach((name) => {
+      const file = path.join(pageDir, name, 'index.html');
+      if (fs.existsSync(file)) {
+        files.push(file);
+      }
+    });
+  }
+
+  files.forEach((file) => {
+    const html = fs.readFileSync(file, 'utf8');
+    html
+      .split('<article class="card-content article"')
+      .slice(1)
+      .forEach((article) => {
+        const link = article.match(/<h1 class="title[^"]*"><a class="link-muted" href="([^"]+)"/);
+        const date = article.match(/fa-calendar-plus">\s*<\/i>(\d{4}-\d{2}-\d{2})/);
+        if (!link) {
+          return;
+        }
+        const hrefs = (pattern) => {
+          const result = [];
+          let match;
+          while ((match = pattern.exec(article))) {
+            result.push(match[1]);
+          }
+          return result;
+        };
+        meta.set(decodeURI(link[1]), {
+          date: date ? date[1] : null,
+          categories: hrefs(/class="[^"]*index-categories" href="([^"]+)"/g),
+          tags: hrefs(/class="[^"]*index-tags" href="([^"]+)"/g),
+        });
+      });
+  });
+  return meta;
+}
+
+function addPostMeta(json, root) {
+  const meta = readPostMeta(root);
+  const byLink = (items) => {
+    const map = new Map();
+    (items || []).forEach((item) => {
+      map.set(decodeURI(item.link), { name: item.name, slug: item.slug, link: item.link });
+    });
+    return (hrefs) => hrefs.map((href) => map.get(decodeURI(href))).filter(Boolean);
+  };
+  const findTags = byLink(json.tags);
+  const findCategories = byLink(json.categories);
+  let missing = 0;
+
+  (json.posts || []).forEach((post) => {
+    const found = meta.get(decodeURI(post.link));
+    if (!found) {
+      missing++;
+      return;
+    }
+    if (found.date) {
+      post.date = found.date;
+    }
+    post.categories = findCategories(found.categories);
+    post.tags = findTags(found.tags);
+  });
+  if (missing) {
+    console.warn(
+      `${missing} posts are not listed on the home pages, left without date, tags and categories`,
+    );
+  }
+}
+
+const HEADING = /<h([23])[^>]*\sid="([^"]+)"[^>]*>([\s\S]*?)<\/h\1>/gi;
+
+/**
+ * The h2 and h3 headings of a generated page, in order.
+ * @return Array            [{ id, title, level, offset }], offset being where the title
+ *                          appears in the text of content.json, or null if it doesn't
+ */
+function readHeadings(root, doc) {
+  const file = path.join(root, decodeURI(doc.link), 'index.html');
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  const html = fs.readFileSync(file, 'utf8');
+  const start = html.indexOf('<div class="content">');
+  if (start < 0) {
+    return [];
+  }
+  const end = html.indexOf('</article>', start);
+  const article = html.slice(start, end < 0 ? html.length : end);
+  const text = doc.text || '';
+  const headings = [];
+  let from = 0;
+  let match;
+  HEADING.lastIndex = 0;
+  while ((match = HEADING.exec(article))) {
+    // the text of content.json keeps entities, like the titles read here
+    const title = match[3]
+      .replace(/<[^>]+>/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    const offset = title ? text.indexOf(title, from) : -1;
+    if (offset >= 0) {
+      from = offset + title.length;
+    }
+    headings.push({
+      id: match[2],
+      title,
+      level: Number(match[1]),
+      offset: offset >= 0 ? offset : null,
+    });
+  }
+  return headings;
+}
+
+function addHeadings(json, root) {
+  ['posts', 'pages'].forEach((type) => {
+    (json[type] || []).forEach((doc) => {
+      delete doc.headings;
+      const headings = readHeadings(root, doc);
+      if (headings.length) {
+        doc.headings = headings;
+      }
+    });
+  });
+}
+
+function main(argv) {
+  const skipPinyin = argv.includes('--no-pinyin');
+  argv = argv.filter((arg) => arg !== '--no-pinyin');
+  const pinyin = skipPinyin ? null : loadPinyin();
+  const input = path.resolve(argv[0] || path.join(__dirname, '..', 'content.json'));
+  const output = path.resolve(argv[1] || path.join(path.dirname(input), 'content.index.json'));
+
+  const json = JSON.parse(fs.readFileSync(input, 'utf8'));
+  addPostMeta(json, path.dirname(input));
+  addHeadings(json, path.dirname(input));
+  if (pinyin) {
+    addPinyin(json, pinyin);
+  } else {
+    Object.keys(InsightIndex.SECTIONS).forEach((type) => {
+      (json[type] || []).forEach((doc) => delete doc.pinyin);
+    });
+  }
+  fs.writeFileSync(input, JSON.stringify(json));
+
+  const index = InsightIndex.build(json);
+  fs.writeFileSync(output, JSON.stringify(index));
+
+  const sections = Object.keys(index.sections)
+    .map((type) => `${index.sections[type].size} ${type}`)
+    .join(', ');
+  console.log(`Indexed ${sections}: ${Object.keys(index.terms).length} terms -> ${output}`);
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+/**
+ * A local stand-in for the Algolia search API, to try the search box and its fallback to
+ * the Insight search without an Algolia account.
+ *
+ * Usage: node scripts/mock-algolia-server.js [content.json] [--port 8765] [--status 503]
+ *                                            [--delay ms] [--fail-after N]
+ *
+ *   --status      answer every query with this HTTP status, e.g. 429 or 503
+ *   --delay       wait this long before answering, longer than the search box timeout
+ *                 (5000 ms) to make it fall back
+ *   --fail-after  answer the first N queries, then fail with --status (503 by default)
+ *
+ * Then point loadAlgolia at it:
+ *   loadAlgolia({ applicationId: 'mock', apiKey: 'mock', indexName: 'posts',
+ *                 hosts: [{ url: 'localhost:8765', protocol: 'http' }] }, translation)
+ *
+ * Hits are the posts of content.json whose title or text contain every word of the query,
+ * narrowed by the `facetFilters` of the refinement panels. The tags, categories and year
+ * facets come from the fields scripts/build-insight-index.js writes into content.json.
+ */
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const HITS_PER_PAGE = 20;
+const SNIPPET_LENGTH = 160;
+
+function parseArgs(argv) {
+  const options = { input: null, port: 8765, status: 0, delay: 0, failAfter: -1 };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--port':
+        options.port = Number(argv[++i]);
+        break;
+      case '--status':
+        options.status = Number(argv[++i]);
+        break;
+      case '--delay':
+        options.delay = Number(argv[++i]);
+        break;
+      case '--fail-after':
+        options.failAfter = Number(argv[++i]);
+        break;
+      default:
+        options.input = argv[i];
+    }
+  }
+  if (options.failAfter >= 0 && !options.status) {
+    options.status = 503;
+  }
+  return options;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeHTML(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Wrap every word of the query in <em>, the way Algolia reports _highlightResult.
+ */
+function highlight(text, words) {
+  const escaped = escapeHTML(text);
+  if (!words.length) {
+    return { value: escaped, matchLevel: 'none', matchedWords: [] };
+  }
+  const pattern = new RegExp(words.map((word) => escapeRegExp(escapeHTML(word))).join('|'), 'gi');
+  const matchedWords = words.filter((word) => text.toLowerCase().includes(word));
+  return {
+    value: escaped.replace(pattern, (match) => `<em>${match}</em>`),
+    matchLevel:
+      matchedWords.length === words.length ? 'full' : matchedWords.length ? 'partial' : 'none',
+    matchedWords,
+  };
+}
+
+/**
+ * Cut the text around the first word of the query found in it.
+ */
+function excerpt(text, words) {
+  const lower = text.toLowerCase();
+  const found = words.map((word) => lower.indexOf(word)).filter((i) => i >= 0);
+  const start = found.length ? Math.max(0, Math.min(...found) - SNIPPET_LENGTH / 4) : 0;
+  return text.slice(start, start + SNIPPET_LENGTH);
+}
+
+function parseJSON(text, fallback) {
+  try {
+    return text ? JSON.parse(text) : fallback;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+/**
+ * Whether a post passes facetFilters like [["tags:a", "tags:b"], "year:2020"]: every
+ * entry must match, and an array matches if any of its filters does.
+ */
+function matchFacets(post, facetFilters) {
+  const match = (filter) => {
+    const i = filter.indexOf(':');
+    const values = post.facets[filter.slice(0, i)] || [];
+    return values.includes(filter.slice(i + 1));
+  };
+  return facetFilters.every((filter) => {
+    return Array.isArray(filter) ? filter.some(match) : match(filter);
+  });
+}
+
+/**
+ * Count the values of the requested facets over the matching posts.
+ */
+function countFacets(posts, names) {
+  if (names.includes('*')) {
+    names = ['tags', 'categories', 'year'];
+  }
+  const facets = {};
+  names.forEach((name) => {
+    facets[name] = {};
+    posts.forEach((post) => {
+      (post.facets[name] || []).forEach((value) => {
+        facets[name][value] = (facets[name][value] || 0) + 1;
+      });
+    });
+  });
+  return facets;
+}
+
+function search(posts, params) {
+  const query = params.get('query') || '';
+  const page = Number(params.get('page')) || 0;
+  const hitsPerPage = Number(params.get('hitsPerPage')) || HITS_PER_PAGE;
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const facetFilters = [].concat(parseJSON(params.get('facetFilters'), []));
+  const matches = posts.filter((post) => {
+    const text = (post.title + ' ' + post.text).toLowerCase();
+    return words.every((word) => text.includes(word)) && matchFacets(post, facetFilters);
+  });
+  const hits = matches.slice(page * hitsPerPage, (page + 1) * hitsPerPage).map((post) => {
+    const snippet = excerpt(post.text, words);
+    return {
+      objectID: post.link,
+      title: post.title,
+      permalink: post.link,
+      excerpt: snippet,
+      _highlightResult: {
+        title: highlight(post.title, words),
+        excerpt: highlight(snippet, words),
+      },
+      _snippetResult: {
+        excerpt: highlight(snippet, words),
+      },
+    };
+  });
+  const names = [].concat(parseJSON(params.get('facets'), []));
+  return {
+    hits,
+    facets: countFacets(matches, names),
+    nbHits: matches.length,
+    page,
+    nbPages: Math.ceil(matches.length / hitsPerPage),
+    hitsPerPage,
+    query,
+    params: params.toString(),
+    processingTimeMS: 1,
+  };
+}
+
+function main(argv) {
+  const options = parseArgs(argv);
+  const input = path.resolve(options.input || path.join(__dirname, '..', 'content.json'));
+  const posts = (JSON.parse(fs.readFileSync(input, 'utf8')).posts || []).map((post) => {
+    const names = (items) => (items || []).map((item) => item.name);
+    const year = /^\d{4}/.exec(post.date || '');
+    return {
+      title: post.title || '',
+      text: post.text || '',
+      link: post.link,
+      facets: {
+        tags: names(post.tags),
+        categories: names(post.categories),
+        year: year ? [year[0]] : [],
+      },
+    };
+  });
+  let answered = 0;
+
+  const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', '*');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const reply = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify(data));
+      };
+      const answer = () => {
+        if (!/^\/1\/indexes\/[^/]+\/queries$/.test(req.url.split('?')[0])) {
+          reply(404, { message: 'Not found', status: 404 });
+          return;
+        }
+        const failing = options.failAfter >= 0 ? answered >= options.failAfter : options.status;
+        if (failing) {
+          console.log(`${req.method} ${req.url} -> ${options.status}`);
+          reply(options.status, { message: 'Mock failure', status: options.status });
+          return;
+        }
+        let requests;
+        try {
+          requests = JSON.parse(body || '{}').requests || [];
+        } catch (e) {
+          reply(400, { message: 'Invalid JSON', status: 400 });
+          return;
+        }
+        answered++;
+        const results = requests.map((request) => {
+          const result = search(posts, new URLSearchParams(request.params || ''));
+          result.index = request.indexName;
+          return result;
+        });
+        console.log(`${req.method} ${req.url} -> ${results.map((r) => r.nbHits).join(', ')} hits`);
+        reply(200, { results });
+      };
+      setTimeout(answer, options.delay);
+    });
+  });
+
+  server.listen(options.port, () => {
+    console.log(`Mock Algolia serving ${posts.length} posts on http://localhost:${options.port}`);
+  });
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+/**
+ * Build the records of the Algolia index queried by js/algolia.js from the generated site,
+ * and sync them to the index.
+ *
+ * Usage: ALGOLIA_APP_ID=... ALGOLIA_ADMIN_KEY=... ALGOLIA_INDEX_NAME=...
+ *        node scripts/push-algolia-index.js [site] [--level 3] [--full]
+ *        node scripts/push-algolia-index.js [site] --dry-run [records.json]
+ *
+ *   site        the generated site, or its content.json; defaults to the repository root
+ *   --level     deepest heading a long post is split at, 2 or 3 (default)
+ *   --full      replace every record instead of syncing the changed ones
+ *   --dry-run   write the settings and records to a JSON file (algolia-records.json by
+ *               default) instead of the index; when the file exists, the changes since
+ *               the records it holds are reported, as a sync would apply them
+ *
+ * Run it after scripts/build-insight-index.js, which writes the date, tags and categories
+ * of every post into content.json. The headings and text of a post are read from its
+ * generated page, or from content.json when the page is missing.
+ *
+ * Posts longer than SPLIT_LENGTH are split into a record per section, linking to the
+ * heading it starts at; the index returns the best section of each post only. Every record
+ * holds a hash of its content, so a sync adds and updates the changed records and deletes
+ * those of removed posts or sections, and leaves the others alone.
+ *
+ * Requires the `algoliasearch` package of package.json (`npm install`), unless --dry-run
+ * is given.
+ */
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Algolia rejects records over 10 KB
+const EXCERPT_LENGTH = 2000;
+// Posts with more text are split at their headings
+const SPLIT_LENGTH = 3000;
+
+const SETTINGS = {
+  searchableAttributes: ['title', 'unordered(heading)', 'unordered(excerpt)', 'tags', 'categories'],
+  attributesForFaceting: ['searchable(tags)', 'searchable(categories)', 'year'],
+  attributesToSnippet: ['excerpt:40'],
+  attributeForDistinct: 'permalink',
+  distinct: true,
+  customRanking: ['asc(position)'],
+};
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeHTML(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code =
+        entity[1] === 'x' || entity[1] === 'X'
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return HTML_ENTITIES[entity.toLowerCase()] || match;
+  });
+}
+
+/**
+ * Text of an HTML fragment, without scripts, styles and the line numbers of code blocks.
+ */
+function toText(html) {
+  return decodeHTML(
+    html
+      .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<td class="gutter">[\s\S]*?<\/td>/gi, ' ')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<[^>]+>/g, ' '),
+  )
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * The article body of a generated post page, null when the page doesn't exist.
+ */
+function readArticle(root, link) {
+  const file = path.join(root, decodeURI(link), 'index.html');
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  const html = fs.readFileSync(file, 'utf8');
+  const start = html.indexOf('<div class="content">');
+  if (start < 0) {
+    return null;
+  }
+  const ends = ['<div class="recommend-area"', '<div class="article-licensing"', '</article>']
+    .map((marker) => html.indexOf(marker, start))
+    .filter((i) => i >= 0);
+  return html.slice(start, ends.length ? Math.min(...ends) : html.length);
+}
+
+/**
+ * Split an article at its h1 to h`level` headings.
+ * @return Array            [{ anchor, heading, text }], the first one without heading
+ *                          holds the text before the first heading
+ */
+function splitSections(article, level) {
+  const pattern = new RegExp(`<h([1-${level}])[^>]*\\sid="([^"]+)"[^>]*>([\\s\\S]*?)</h\\1>`, 'gi');
+  const sections = [];
+  let last = { anchor: null, heading: null, start: 0 };
+  let match;
+  while ((match = pattern.exec(article))) {
+    sections.push(Object.assign(last, { text: toText(article.slice(last.start, match.index)) }));
+    last = {
+      anchor: decodeHTML(match[2]),
+      heading: toText(match[3]),
+      start: match.index + match[0].length,
+    };
+  }
+  sections.push(Object.assign(last, { text: toText(article.slice(last.start)) }));
+  return sections
+    .filter((section) => section.heading || section.text)
+    .map((section) => ({ anchor: section.anchor, heading: section.heading, text: section.text }));
+}
+
+function hashOf(record) {
+  return crypto.createHash('sha1').update(JSON.stringify(record)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Records of a post: a single one, or one per section, cut every EXCERPT_LENGTH characters.
+ */
+function toRecords(post, root, level) {
+  const names = (items) => (items || []).map((item) => item.name);
+  const year = /^\d{4}/.exec(post.date || '');
+  const article = readArticle(root, post.link);
+  const text = article ? toText(article) : post.text || '';
+  const sections =
+    article && text.length > SPLIT_LENGTH
+      ? splitSections(article, level)
+      : [{ anchor: null, heading: null, text }];
+  const common = {
+    title: post.title || '',
+    permalink: post.link,
+    tags: names(post.tags),
+    categories: names(post.categories),
+    year: year ? Number(year[0]) : null,
+  };
+
+  const records = [];
+  sections.forEach((section) => {
+    const url = section.anchor ? post.link + '#' + section.anchor : post.link;
+    for (let i = 0; i === 0 || i < section.text.length; i += EXCERPT_LENGTH) {
+      const record = Object.assign({}, common, {
+        objectID: url + (i ? '~' + i / EXCERPT_LENGTH : ''),
+        url,
+        heading: section.heading,
+        excerpt: section.text.slice(i, i + EXCERPT_LENGTH),
+        position: records.length,
+      });
+      record.hash = hashOf(record);
+      records.push(record);
+    }
+  });
+  return records;
+}
+
+/**
+ * Compare the records to those of the index, given as { objectID: hash }.
+ */
+function diff(records, existing) {
+  const ids = new Set(records.map((record) => record.objectID));
+  return {
+    add: records.filter((record) => !(record.objectID in existing)),
+    update: records.filter((record) => {
+      return record.objectID in existing && existing[record.objectID] !== record.hash;
+    }),
+    remove: Object.keys(existing).filter((id) => !ids.has(id)),
+  };
+}
+
+function report(changes) {
+  return `${changes.add.length} added, ${changes.update.length} updated, ${changes.remove.length} deleted`;
+}
+
+function parseArgs(argv) {
+  const options = { input: null, level: 3, full: false, dryRun: null };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--level':
+        options.level = Number(argv[++i]) === 2 ? 2 : 3;
+        break;
+      case '--full':
+        options.full = true;
+        break;
+      case '--dry-run':
+        options.dryRun =
+          argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : 'algolia-records.json';
+        break;
+      default:
+        options.input = argv[i];
+    }
+  }
+  return options;
+}
+
+function dryRun(records, output) {
+  const file = path.resolve(output);
+  const existing = {};
+  if (fs.existsSync(file)) {
+    JSON.parse(fs.readFileSync(file, 'utf8')).records.forEach((record) => {
+      existing[record.objectID] = record.hash;
+    });
+    console.log(`Changes since ${file}: ${report(diff(records, existing))}`);
+  }
+  fs.writeFileSync(file, JSON.stringify({ settings: SETTINGS, records }, null, 2));
+  console.log(`Wrote ${records.length} records -> ${file}`);
+}
+
+function sync(records, full) {
+  const appId = process.env.ALGOLIA_APP_ID;
+  const apiKey = process.env.ALGOLIA_ADMIN_KEY;
+  const indexName = process.env.ALGOLIA_INDEX_NAME;
+  if (!appId || !apiKey || !indexName) {
+    console.error(
+      'Set ALGOLIA_APP_ID, ALGOLIA_ADMIN_KEY and ALGOLIA_INDEX_NAME, or pass --dry-run',
+    );
+    process.exit(1);
+  }
+
+  const algoliasearch = require('algoliasearch');
+  const index = algoliasearch(appId, apiKey).initIndex(indexName);
+  const push = () => {
+    if (full) {
+      return index.replaceAllObjects(records, { safe: true }).then(() => {
+        return `${records.length} records replaced`;
+      });
+    }
+    const existing = {};
+    return index
+      .browseObjects({
+        attributesToRetrieve: ['hash'],
+        batch: (hits) => {
+          hits.forEach((hit) => {
+            existing[hit.objectID] = hit.hash;
+          });
+        },
+      })
+      .then(() => {
+        const changes = diff(records, existing);
+        return Promise.all([
+          index.saveObjects(changes.add.concat(changes.update)),
+          index.deleteObjects(changes.remove),
+        ]).then(() => report(changes));
+      });
+  };
+
+  index
+    .setSettings(SETTINGS)
+    .then(push)
+    .then((summary) => {
+      console.log(`Synced ${indexName}: ${summary}`);
+    })
+    .catch((e) => {
+      console.error(e.message || e);
+      process.exit(1);
+    });
+}
+
+function main(argv) {
+  const options = parseArgs(argv);
+  let input = path.resolve(options.input || path.join(__dirname, '..'));
+  if (fs.statSync(input).isDirectory()) {
+    input = path.join(input, 'content.json');
+  }
+  const root = path.dirname(input);
+  const json = JSON.parse(fs.readFileSync(input, 'utf8'));
+  const posts = json.posts || [];
+  const undated = posts.filter((post) => !post.date).length;
+  if (undated) {
+    console.warn(`${undated} posts have no date, run scripts/build-insight-index.js first`);
+  }
+  const records = [].concat(...posts.map((post) => toRecords(post, root, options.level)));
+
+  if (options.dryRun) {
+    dryRun(records, options.dryRun);
+  } else {
+    sync(records, options.full);
+  }
+}
+
+main(process.argv.slice(2));